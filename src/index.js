@@ -1,252 +1,741 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, Option, InvalidArgumentError } from 'commander';
 import { writeFile } from 'fs/promises';
+import { basename, resolve } from 'path';
 import chalk from 'chalk';
-import { GitHubService } from './services/github.service.js';
-import { GitHubReport } from './models/report.model.js';
-import logger from './utils/logger.js';
+import { GitHubService, DEFAULT_API_URL } from './services/github.service.js';
+import { GitHubGraphQLService } from './services/github-graphql.service.js';
+import { HttpCache, DEFAULT_CACHE_TTL_SECONDS, getDefaultCacheDir } from './services/http-cache.js';
+import { ResponseRecorder, ResponseReplayer } from './services/recording.js';
+import { ReportHistory, getDefaultHistoryDir } from './services/report-history.js';
+import { WebhookService } from './services/webhook.service.js';
+import { EmailService, SMTP_TLS_MODES } from './services/email.service.js';
+import { GitHubReport, TeamReport } from './models/report.model.js';
+import { DEFAULT_STALE_DAYS } from './models/attention.model.js';
+import { ReportWindow, PERIOD_PRESETS } from './models/report-window.model.js';
+import { getLocalTimeZone, isValidTimeZone, getZonedParts, toZonedDateKey } from './utils/timezone.js';
+import { loadHolidays } from './utils/holidays.js';
+import { now, freezeClock } from './utils/clock.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { resolveUsernames } from './utils/users.js';
+import { CONFIG_FILE_NAME, loadConfig, applyConfig, hasHigherPrecedence } from './utils/config.js';
+import { resolveToken } from './utils/credentials.js';
+import { CronSchedule } from './utils/cron.js';
+import { ReportScheduler, getDefaultScheduleStateFile } from './services/scheduler.js';
+import {
+  TRI_STATE_CHOICES,
+  VISIBILITY_CHOICES,
+  createRepoFilter,
+  hasFilterCriteria,
+  loadFilterConfig,
+  mergeFilterCriteria
+} from './utils/repo-filter.js';
+import { loadTemplate } from './templates/index.js';
+import {
+  displayConsoleReport,
+  displayTeamConsoleReport,
+  OUTPUT_FORMATS,
+  parseFormats,
+  resolveOutputPath,
+  stampOutputPath
+} from './renderers/index.js';
+import { deserializeReport } from './renderers/json.renderer.js';
+import { WEBHOOK_FORMATS, detectWebhookFormat, buildWebhookPayload } from './renderers/webhook.renderer.js';
+import logger, { LOG_FORMATS } from './utils/logger.js';
+
+// Both produce the same models; GraphQL trades the events feed for far fewer requests
+const BACKENDS = {
+  rest: GitHubService,
+  graphql: GitHubGraphQLService
+};
 
 const program = new Command();
 
 program
   .name('github-report')
-  .description('Generate a report of your GitHub activity from yesterday')
+  .description('Generate a report of your GitHub activity for a chosen reporting window (yesterday by default)')
   .version('1.0.0')
-  .requiredOption('-t, --token <token>', 'GitHub personal access token')
+  // Subcommands reuse option names like --output, which must not be taken by the main command
+  .enablePositionalOptions()
+  .addOption(new Option('-t, --token <token>', 'GitHub personal access token; GH_TOKEN is also read (required unless replaying)').env('GITHUB_TOKEN'))
+  .option('--token-file <path>', 'Read the GitHub token from this file, or from stdin with "-"')
+  .addOption(
+    new Option('--api-url <url>', 'REST API root of a GitHub Enterprise Server, e.g. https://github.example.com/api/v3')
+      .env('GITHUB_API_URL')
+      .argParser(parseApiUrl)
+      .default(DEFAULT_API_URL)
+  )
+  .addOption(
+    new Option('--backend <backend>', 'Fetch repositories, their latest pull requests and your activity with per-repository REST requests or batched GraphQL queries (graphql only lists merges of your own pull requests, and no branches, tags, releases, wiki edits, review comments or closed issues and pull requests)')
+      .choices(Object.keys(BACKENDS))
+      .default('rest')
+  )
+  .option('--config <path>', `Settings file (default: ./${CONFIG_FILE_NAME} over ~/${CONFIG_FILE_NAME})`)
+  .option('--no-config', 'Ignore config files')
   .option('-u, --username <username>', 'GitHub username (will use authenticated user if not provided)')
-  .option('-o, --output <filename>', 'Output markdown file', 'github-report.md')
-  .action(async (options) => {
+  .option('--users <usernames>', 'Comma-separated GitHub usernames for a combined team report')
+  .option('--users-file <path>', 'File with one GitHub username per line for a combined team report')
+  .option('--org <org>', 'Also scan repositories of this organization (repeatable)', collect, [])
+  .option('--org-team <org/team>', 'Only scan the repositories of this organization team (repeatable)', parseOrgTeam, [])
+  .option('--include <glob>', 'Only report repositories matching this name glob (repeatable)', collect, [])
+  .option('--exclude <glob>', 'Skip repositories matching this name glob (repeatable)', collect, [])
+  .option('--topic <topic>', 'Only report repositories with this topic (repeatable)', collect, [])
+  .option('--language <language>', 'Only report repositories in this language (repeatable)', collect, [])
+  .addOption(new Option('--visibility <visibility>', 'Only report repositories with this visibility').choices(VISIBILITY_CHOICES))
+  .addOption(new Option('--forks <mode>', 'Include, exclude or only report forks').choices(TRI_STATE_CHOICES))
+  .addOption(new Option('--archived <mode>', 'Include, exclude or only report archived repositories').choices(TRI_STATE_CHOICES))
+  .option('--pushed-within <days>', 'Only report repositories pushed to in the last N days', parsePositiveInteger)
+  .option('--filters <path>', 'JSON file with repository filters; command-line filters take precedence')
+  .option('-c, --concurrency <n>', 'Number of repositories processed in parallel', parsePositiveInteger, 5)
+  .option('--rate-limit-buffer <n>', 'Pause until the rate limit resets when fewer requests than this remain', parsePositiveInteger, 20)
+  .option('--no-cache', 'Do not read or write the HTTP response cache')
+  .option('--cache-ttl <seconds>', 'Serve cached responses younger than this without revalidating', parseNonNegativeInteger, DEFAULT_CACHE_TTL_SECONDS)
+  .option('--cache-dir <path>', 'Directory for the HTTP response cache', getDefaultCacheDir())
+  .addOption(new Option('--record <dir>', 'Save every GitHub API response to fixture files in this directory').conflicts('replay'))
+  .option('--replay <dir>', 'Serve recorded fixtures instead of calling GitHub, with the clock frozen at the recording time')
+  .option('--no-code-changes', 'Skip collecting commits and line statistics (one request per commit)')
+  .option('--no-pr-metrics', 'Skip pull request lifecycle and review turnaround metrics')
+  .option('--no-attention', 'Skip the "Needs attention" section of open pull requests waiting on you')
+  .option('--no-history', 'Do not save this report to the history or compare it with earlier reports')
+  .option('--history-dir <path>', 'Directory where generated reports are kept', getDefaultHistoryDir())
+  .option('--stale-days <n>', 'List open pull requests you are involved in with no activity for this many days', parsePositiveInteger, DEFAULT_STALE_DAYS)
+  .option('-o, --output <filename>', 'Output file; other formats reuse its name with their own extension', 'github-report.md')
+  .option('-f, --format <formats>', `Comma-separated output formats (${Object.keys(OUTPUT_FORMATS).join(', ')})`, parseFormatOption, ['markdown'])
+  .option('--webhook <url>', 'Post a condensed report to this Slack or Microsoft Teams incoming webhook (repeatable)', parseWebhookUrl, [])
+  .addOption(
+    new Option('--webhook-format <format>', 'Message format for --webhook; auto uses teams for Microsoft hosts and slack otherwise')
+      .choices(['auto', ...WEBHOOK_FORMATS])
+      .default('auto')
+  )
+  .option('--report-url <url>', 'Link to the full report added to webhook messages, e.g. where the HTML report is published')
+  .option('--email <addresses>', 'Email the HTML report to these comma-separated addresses (repeatable)', parseEmailAddresses, [])
+  .option('--email-from <address>', 'Sender address for --email (defaults to --smtp-user when it is an address)')
+  .option('--email-subject <subject>', 'Subject line for --email')
+  .addOption(
+    new Option('--email-markdown <mode>', 'Include the markdown report as the plain-text alternative or as an attachment')
+      .choices(['alternative', 'attachment'])
+      .default('alternative')
+  )
+  .addOption(new Option('--smtp-host <host>', 'SMTP server used by --email').env('SMTP_HOST').default('localhost'))
+  .addOption(new Option('--smtp-port <port>', 'SMTP port (587 for starttls, 465 for implicit, 25 for none by default)').env('SMTP_PORT').argParser(parsePositiveInteger))
+  .addOption(new Option('--smtp-tls <mode>', 'Require STARTTLS, connect over TLS (implicit) or send in plain text (none)').choices(SMTP_TLS_MODES).env('SMTP_TLS').default('starttls'))
+  .addOption(new Option('--smtp-user <user>', 'SMTP login; the password is read from the SMTP_PASSWORD environment variable').env('SMTP_USER'))
+  .option('--since <date>', 'Start of the reporting window (YYYY-MM-DD or ISO timestamp)')
+  .option('--until <date>', 'End of the reporting window, inclusive (YYYY-MM-DD or ISO timestamp)')
+  .option('-d, --days <n>', 'Report on the last N full days', parsePositiveInteger)
+  .addOption(
+    new Option('-p, --period <period>', 'Reporting window preset')
+      .choices(Object.keys(PERIOD_PRESETS))
+      .default('day')
+  )
+  .option('--template <path>', 'Template file for the markdown layout (see src/templates/default.md.tpl)')
+  .option('--timezone <zone>', 'IANA time zone used for day boundaries and dates', parseTimeZone, getLocalTimeZone())
+  .option('--holidays <dates|file>', 'Holidays skipped by the workday period (comma-separated YYYY-MM-DD list or a file)')
+  .addOption(new Option('--quiet', 'Only show warnings and errors').conflicts(['verbose', 'debug']))
+  .addOption(new Option('--verbose', 'Also show each step and every repository processed').conflicts('debug'))
+  .option('--debug', 'Also show every GitHub API call with its status and timing')
+  .addOption(new Option('--log-format <format>', 'Show progress as colored text, or as one JSON object per line').choices(LOG_FORMATS).default('text'))
+  .option('--log-file <path>', 'Also append the log to this file, at the info level or more detailed')
+  .hook('preAction', () => configureLogging(program.opts()))
+  .action(async () => {
+    const { options, configPaths } = await resolveReportOptions();
+
     try {
-      await generateReport(options);
+      await generateReport(options, { configPaths });
     } catch (error) {
-      logger.error('Failed to generate report', error.message);
+      logger.error(`Failed to generate report: ${error.message}`);
       process.exit(1);
     }
   });
 
-async function generateReport(options) {
-  console.log(chalk.bold.blue('\n🚀 GitHub Activity Report Generator\n'));
-  
-  // Initialize GitHub service
-  const githubService = new GitHubService(options.token);
-  
-  // Validate connection and get user info
-  logger.startProgress('Connecting to GitHub...');
-  const authenticatedUser = await githubService.validateConnection();
-  const username = options.username || authenticatedUser.login;
-  logger.stopProgress();
+program
+  .command('schedule <cron>')
+  .description('Keep running and generate the report on a cron schedule, e.g. "0 9 * * 1-5" for weekdays at 09:00. ' +
+    'Report options go before "schedule" or in a config file; the schedule follows --timezone')
+  .option('--catch-up <n>', 'Missed reports to make up for after the machine slept or the scheduler was down (0 to skip them)', parseNonNegativeInteger, 1)
+  .option('--state-file <path>', 'File remembering when each schedule last ran', getDefaultScheduleStateFile())
+  .action(async (expression, scheduleOptions) => {
+    const { options, configPaths } = await resolveReportOptions();
+    if (options.record || options.replay) {
+      program.error('error: --record and --replay cannot be scheduled');
+    }
+    if (options.since || options.until) {
+      program.error('error: a schedule reports on a moving window; use --period or --days instead of --since/--until');
+    }
 
-  // Check rate limit
-  await githubService.checkRateLimit();
+    let schedule;
+    try {
+      schedule = new CronSchedule(expression, options.timezone);
+    } catch (error) {
+      program.error(`error: ${error.message}`);
+    }
 
-  // Create report instance
-  const report = new GitHubReport(username);
+    // Date-stamped files, with the time too when the schedule runs more than once a day
+    const toStamp = date => {
+      const { hour, minute } = getZonedParts(date, schedule.timeZone);
+      const time = `${String(hour).padStart(2, '0')}${String(minute).padStart(2, '0')}`;
+      return schedule.isAtMostDaily() ? toZonedDateKey(date, schedule.timeZone) : `${toZonedDateKey(date, schedule.timeZone)}-${time}`;
+    };
+    const scheduler = new ReportScheduler({
+      schedule,
+      stateFile: scheduleOptions.stateFile,
+      stateKey: `${schedule} -> ${resolve(options.output)}`,
+      catchUp: scheduleOptions.catchUp,
+      run: async scheduledAt => {
+        logger.reset();
+        await generateReport({ ...options, output: stampOutputPath(options.output, toStamp(scheduledAt)) }, { configPaths });
+      }
+    });
 
-  // Fetch repositories
-  logger.startProgress('Fetching repositories...');
-  const repos = await githubService.getUserRepos(username);
-  report.setTotalRepos(repos.length);
-  logger.stopProgress();
+    // The first signal lets a report in progress finish; a second one stops at once
+    const stop = () => {
+      if (scheduler.stopped) process.exit(130);
+      if (scheduler.running) logger.info('Stopping after the report in progress (press Ctrl+C again to stop now)');
+      scheduler.stop();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
 
-  // Process each repository
-  console.log(chalk.bold(`\nProcessing ${repos.length} repositories...\n`));
-  logger.startProgress('Processing repositories...');
+    try {
+      await scheduler.start();
+    } catch (error) {
+      logger.error(`Scheduler stopped: ${error.message}`);
+      process.exit(1);
+    }
+  });
 
-  const projects = [];
-  for (let i = 0; i < repos.length; i++) {
-    const project = await githubService.getRepoDetails(repos[i], i, repos.length);
-    projects.push(project);
-    report.addProject(project);
-  }
-  logger.stopProgress();
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the HTTP response cache');
 
-  // Fetch user activity
-  logger.startProgress('Fetching your recent activity...');
-  const userActivities = await githubService.getUserActivity(username);
-  logger.stopProgress();
+cacheCommand
+  .command('clear')
+  .description('Delete every cached GitHub response')
+  .option('--cache-dir <path>', 'Directory for the HTTP response cache', getDefaultCacheDir())
+  .action(async (options, command) => {
+    try {
+      await applyConfigFiles(command, ['cacheDir']);
+      options = command.opts();
+      const removed = await new HttpCache({ dir: options.cacheDir }).clear();
+      logger.success(`Removed ${removed} cached responses from ${options.cacheDir}`);
+    } catch (error) {
+      logger.error(`Failed to clear the cache: ${error.message}`);
+      process.exit(1);
+    }
+  });
 
-  // Map activities to projects
-  userActivities.forEach(activity => {
-    const project = projects.find(p => 
-      p.name === activity.repoName || 
-      p.name === activity.repoName.split('/').pop()
-    );
-    if (project) {
-      project.addActivity(activity);
+const historyCommand = program
+  .command('history')
+  .description('List earlier reports or render one of them again');
+
+historyCommand
+  .command('list', { isDefault: true })
+  .description('List saved reports, newest first')
+  .option('-u, --username <username>', 'Only list reports for this user')
+  .option('-n, --limit <n>', 'Show at most this many reports', parsePositiveInteger, 20)
+  .option('--history-dir <path>', 'Directory where generated reports are kept', getDefaultHistoryDir())
+  .action(async (options, command) => {
+    try {
+      await applyConfigFiles(command, ['historyDir']);
+      options = command.opts();
+      const entries = await new ReportHistory({ dir: options.historyDir }).list(options.username);
+      if (entries.length === 0) {
+        logger.info(`No saved reports in ${options.historyDir}`);
+        return;
+      }
+
+      const idWidth = Math.max(...entries.map(entry => entry.id.length));
+      entries.slice(0, options.limit).forEach(({ id, snapshot }) => {
+        console.log(
+          `${chalk.cyan(id.padEnd(idWidth))}  ${snapshot.window.description.padEnd(28)}  ` +
+          `${chalk.gray(snapshot.window.label)}  ${snapshot.summary.totalActivities} activities`
+        );
+      });
+      if (entries.length > options.limit) {
+        console.log(chalk.gray(`… and ${entries.length - options.limit} older reports (use --limit to see more)`));
+      }
+    } catch (error) {
+      logger.error(`Failed to list the history: ${error.message}`);
+      process.exit(1);
     }
   });
 
-  // Generate and display report
-  console.log('\n' + chalk.bold.green('📊 REPORT GENERATED') + '\n');
-  displayConsoleReport(report);
+historyCommand
+  .command('show <id>')
+  .description('Render a saved report again, as of the time it was generated')
+  .option('-o, --output <filename>', 'Output file; other formats reuse its name with their own extension', 'github-report.md')
+  .option('-f, --format <formats>', `Comma-separated output formats (${Object.keys(OUTPUT_FORMATS).join(', ')})`, parseFormatOption, ['markdown'])
+  .option('--template <path>', 'Template file for the markdown layout (see src/templates/default.md.tpl)')
+  .option('--history-dir <path>', 'Directory where generated reports are kept', getDefaultHistoryDir())
+  .action(async (id, options, command) => {
+    try {
+      await applyConfigFiles(command, ['historyDir']);
+      options = command.opts();
+      const report = deserializeReport(await new ReportHistory({ dir: options.historyDir }).load(id));
+      const template = options.template ? await loadTemplate(options.template) : undefined;
+
+      // Waiting times and other "now"-relative values read as they did back then
+      freezeClock(report.generatedAt);
+      if (logger.isPrinting()) {
+        displayConsoleReport(report);
+      }
 
-  // Save to markdown file
-  const markdownContent = generateMarkdownReport(report);
-  await writeFile(options.output, markdownContent);
-  logger.success(`Report saved to: ${options.output}`);
+      for (const format of options.format) {
+        const outputPath = resolveOutputPath(options.output, format);
+        await writeFile(outputPath, OUTPUT_FORMATS[format].render(report, { template }));
+        logger.success(`Report saved to: ${outputPath}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to render ${id}: ${error.message}`);
+      process.exit(1);
+    }
+  });
 
-  // Display summary
-  logger.printSummary();
+// Settings for a report run, from the command line, the environment and config
+// files. Problems end the process before anything else happens.
+async function resolveReportOptions() {
+  let options;
+  let configPaths;
+  try {
+    configPaths = await applyConfigFiles(program);
+    options = program.opts();
+    options = { ...options, token: await resolveToken(options, name => program.getOptionValueSource(name)) };
+    // Again, now that config files may have changed the logging settings
+    configureLogging(options);
+  } catch (error) {
+    program.error(`error: ${error.message}`);
+  }
+
+  if (!options.token && !options.replay) {
+    program.error('error: no GitHub token; set GITHUB_TOKEN or GH_TOKEN, or pass --token-file or --token');
+  }
+  return { options, configPaths };
 }
 
-function displayConsoleReport(report) {
-  const summary = report.getExecutiveSummary();
-  const activeProjects = report.getActiveProjects();
-  const yesterdayActivities = report.getAllYesterdayActivities();
+// The most verbose of --quiet, --verbose and --debug wins, unless a less
+// verbose one was set with higher precedence, e.g. --quiet over a config file
+function getLogLevel(options) {
+  const source = ([key]) => program.getOptionValueSource(key);
+  const chosen = [['debug', 'debug'], ['verbose', 'verbose'], ['quiet', 'warn']]
+    .filter(([key]) => options[key])
+    .reduce((best, candidate) => (!best || hasHigherPrecedence(source(candidate), source(best)) ? candidate : best), null);
+  return chosen ? chosen[1] : 'info';
+}
 
-  // Executive Summary
-  console.log(chalk.bold.underline('EXECUTIVE SUMMARY'));
-  console.log(`User: ${chalk.cyan(report.username)}`);
-  console.log(`Total Repositories: ${chalk.yellow(summary.totalRepos)}`);
-  console.log(`Active Repositories (yesterday): ${chalk.green(summary.activeRepos)}`);
-  console.log(`Total Activities: ${chalk.blue(summary.totalActivities)}`);
-  
-  if (summary.totalActivities > 0) {
-    console.log(`  • PRs Created: ${chalk.green(summary.createdPRs)}`);
-    console.log(`  • Comments Made: ${chalk.blue(summary.comments)}`);
-    console.log(`  • Reviews Given: ${chalk.magenta(summary.reviews)}`);
+function configureLogging(options) {
+  try {
+    logger.configure({ level: getLogLevel(options), format: options.logFormat, file: options.logFile });
+  } catch (error) {
+    program.error(`error: ${error.message}`);
+  }
+}
+
+// Fills in settings from config files below the command line and environment.
+// Subcommands only take the `keys` they share with the main command.
+async function applyConfigFiles(command, keys = null) {
+  const configPath = program.opts().config;
+  if (configPath === false) return [];
+
+  const config = await loadConfig(configPath);
+  applyConfig(command, config, { knownCommand: program, keys });
+  return config.paths;
+}
+
+function parsePositiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError('Expected a positive whole number.');
   }
+  return number;
+}
 
-  if (summary.hasErrors) {
-    console.log(`Errors Encountered: ${chalk.red(summary.errorCount)}`);
+function parseNonNegativeInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new InvalidArgumentError('Expected a whole number of zero or more.');
   }
+  return number;
+}
 
-  // Yesterday's Activities
-  if (yesterdayActivities.length > 0) {
-    console.log('\n' + chalk.bold.underline("YESTERDAY'S ACTIVITIES"));
-    yesterdayActivities.forEach(activity => {
-      console.log(`${chalk.cyan('•')} ${activity.getTypeDisplay()}: ${activity.title}`);
-      console.log(`  ${chalk.gray('Repository:')} ${activity.repoName}`);
-      console.log(`  ${chalk.gray('Time:')} ${activity.getFormattedDate()}`);
-      console.log(`  ${chalk.gray('URL:')} ${activity.url}\n`);
-    });
+function parseTimeZone(value) {
+  if (!isValidTimeZone(value)) {
+    throw new InvalidArgumentError('Expected an IANA time zone name such as "Asia/Kolkata" or "UTC".');
   }
+  return value;
+}
 
-  // Active Projects Summary
-  if (activeProjects.length > 0) {
-    console.log(chalk.bold.underline('ACTIVE PROJECTS'));
-    activeProjects.forEach(project => {
-      console.log(`${chalk.cyan('•')} ${project.name}`);
-      console.log(`  ${chalk.gray('Description:')} ${project.description}`);
-      if (project.language) {
-        console.log(`  ${chalk.gray('Language:')} ${project.language}`);
-      }
-      console.log(`  ${chalk.gray('Activities:')} ${project.getYesterdayActivities().length}`);
-      console.log(`  ${chalk.gray('URL:')} ${project.url}\n`);
-    });
-  } else {
-    console.log('\n' + chalk.yellow('No activity detected for yesterday.'));
-    console.log('This could mean:');
-    console.log('• No GitHub activity occurred yesterday');
-    console.log('• Activities occurred in private repositories not accessible');
-    console.log('• Rate limiting prevented full data collection');
+function parseWebhookUrl(value, previous) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new InvalidArgumentError('Expected an http(s) webhook URL.');
   }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new InvalidArgumentError('Expected an http(s) webhook URL.');
+  }
+  return [...previous, value];
+}
+
+function parseApiUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new InvalidArgumentError('Expected an http(s) URL such as https://github.example.com/api/v3.');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new InvalidArgumentError('Expected an http(s) URL such as https://github.example.com/api/v3.');
+  }
+  return value.replace(/\/+$/, '');
 }
 
-function generateMarkdownReport(report) {
-  const summary = report.getExecutiveSummary();
-  const activeProjects = report.getActiveProjects();
-  const yesterdayActivities = report.getAllYesterdayActivities();
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
+function parseEmailAddresses(value, previous) {
+  const addresses = value.split(',').map(address => address.trim()).filter(Boolean);
+  const invalid = addresses.filter(address => !/^[^\s@]+@[^\s@]+$/.test(address));
+  if (addresses.length === 0 || invalid.length > 0) {
+    throw new InvalidArgumentError(`Expected email addresses${invalid.length > 0 ? `, got ${invalid.join(', ')}` : ''}.`);
+  }
+  return [...previous, ...addresses];
+}
+
+function collect(value, previous) {
+  return [...previous, value];
+}
 
-  let markdown = `# GitHub Activity Report
+function parseOrgTeam(value, previous) {
+  const [org, teamSlug, ...rest] = value.split('/');
+  if (!org || !teamSlug || rest.length > 0) {
+    throw new InvalidArgumentError('Expected an organization and team slug such as "my-org/platform-team".');
+  }
+  return [...previous, { org, teamSlug }];
+}
 
-**User:** ${report.username}  
-**Generated:** ${report.generatedAt.toLocaleString()}  
-**Report Date:** ${yesterday.toDateString()}
+function parseFormatOption(value) {
+  try {
+    return parseFormats(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
 
-## Executive Summary
+async function generateReport(options, { configPaths = [] } = {}) {
+  logger.print(chalk.bold.blue('\n🚀 GitHub Activity Report Generator\n'));
+  if (configPaths.length > 0) {
+    logger.info(`Using settings from ${configPaths.join(', ')}`);
+  }
 
-- **Total Repositories Analyzed:** ${summary.totalRepos}
-- **Active Repositories:** ${summary.activeRepos}
-- **Total Activities:** ${summary.totalActivities}
-  - PRs Created: ${summary.createdPRs}
-  - Comments Made: ${summary.comments}
-  - Reviews Given: ${summary.reviews}
+  // A replay runs at the recorded time and, unless --timezone is given, in the
+  // recorded time zone; a recording freezes the clock too so the saved time is exact
+  let timeZone = options.timezone;
+  let apiUrl = options.apiUrl;
+  const replayer = options.replay ? await ResponseReplayer.load(options.replay) : null;
+  if (replayer) {
+    freezeClock(replayer.recordedAt);
+    if (program.getOptionValueSource('timezone') === 'default' && replayer.timeZone) {
+      timeZone = replayer.timeZone;
+    }
+    // Fixtures are named by request path, which includes a GitHub Enterprise API prefix
+    if (program.getOptionValueSource('apiUrl') === 'default' && replayer.apiUrl) {
+      apiUrl = replayer.apiUrl;
+    }
+    logger.info(`Replaying responses recorded at ${replayer.recordedAt.toISOString()} from ${options.replay}`);
+  } else if (options.record) {
+    freezeClock(now());
+  }
 
-`;
+  // Resolve the reporting window before touching the API so bad dates fail fast
+  const holidays = await loadHolidays(options.holidays);
+  const window = ReportWindow.fromOptions({ ...options, timeZone, holidays });
+  logger.info(`Reporting window: ${window.getRangeDescription()} (${window.timeZone})`);
+
+  // Resolve users and load a custom template up front so mistakes are reported before any API calls
+  const requestedUsernames = await resolveUsernames(options);
+  const isTeam = requestedUsernames.length > 1;
+  const template = options.template ? await loadTemplate(options.template, { team: isTeam }) : undefined;
+  if (template && !options.format.includes('markdown') && options.email.length === 0) {
+    logger.warning('--template only applies to the markdown format, which was not requested');
+  }
+  const filterCriteria = await resolveFilterCriteria(options);
+  
+  // Initialize GitHub service
+  // Recordings and replays bypass the cache so fixtures always mirror GitHub
+  const cache = options.cache && !options.record && !options.replay
+    ? new HttpCache({ dir: options.cacheDir, ttlSeconds: options.cacheTtl, namespace: options.token })
+    : null;
+  let recorder = null;
+  if (options.record) {
+    recorder = new ResponseRecorder(options.record);
+    await recorder.start({ recordedAt: now(), timeZone, apiUrl });
+    logger.info(`Recording GitHub responses to ${options.record}`);
+  }
+  const githubService = new BACKENDS[options.backend](options.token, {
+    apiUrl,
+    rateLimitBuffer: options.rateLimitBuffer,
+    cache,
+    recorder,
+    replayer
+  });
+  
+  // Validate connection and get user info
+  logger.startProgress('Connecting to GitHub...');
+  const authenticatedUser = await githubService.validateConnection();
+  const usernames = requestedUsernames.length > 0 ? requestedUsernames : [authenticatedUser.login];
+  logger.stopProgress();
 
-  if (yesterdayActivities.length > 0) {
-    markdown += `## Yesterday's Activities
+  // Check rate limit
+  await githubService.checkRateLimit();
 
-`;
-    yesterdayActivities.forEach(activity => {
-      markdown += `### ${activity.getTypeDisplay()}
-**${activity.title}**
-- Repository: ${activity.repoName}
-- Date: ${activity.getFormattedDate()}
-- [View on GitHub](${activity.url})
+  // Fetch repositories for every user plus any organizations, keeping one copy of repositories they share
+  logger.startProgress('Fetching repositories...');
+  const orgRepos = await fetchOrganizationRepos(githubService, options.org, options.orgTeam);
+  const reposByUser = new Map();
+  const uniqueRepos = new Map();
+  const filteredOutByUser = new Map();
+  const filteredOutRepos = new Set();
+  for (const username of usernames) {
+    const allRepos = dedupeRepos([...await githubService.getUserRepos(username), ...orgRepos]);
+    const userRepos = allRepos.filter(createRepoFilter(filterCriteria));
+    allRepos
+      .filter(repo => !userRepos.includes(repo))
+      .forEach(repo => filteredOutRepos.add(repo.full_name));
+
+    reposByUser.set(username, userRepos);
+    filteredOutByUser.set(username, allRepos.length - userRepos.length);
+    userRepos.forEach(repo => uniqueRepos.set(repo.full_name, repo));
+  }
+  const repos = [...uniqueRepos.values()];
+  logger.stopProgress();
 
-`;
-    });
+  if (filteredOutRepos.size > 0) {
+    logger.info(`Filtered out ${filteredOutRepos.size} repositories`);
   }
 
-  if (activeProjects.length > 0) {
-    markdown += `## Active Projects
+  // Process each repository once, however many users it belongs to
+  logger.print(chalk.bold(`\nProcessing ${repos.length} repositories (up to ${options.concurrency} at a time)...\n`));
+  logger.startProgress('Processing repositories...');
 
-`;
-    activeProjects.forEach(project => {
-      markdown += `### [${project.name}](${project.url})
-${project.description}
+  const projectsByRepo = new Map();
+  let completed = 0;
+  let inFlight = 0;
+  await mapWithConcurrency(repos, options.concurrency, async repo => {
+    inFlight++;
+    const project = await githubService.getRepoDetails(repo);
+    inFlight--;
+    completed++;
+    projectsByRepo.set(repo.full_name, project);
+    logger.progressWithPercentage(completed, repos.length, repo.full_name, inFlight);
+  });
+  logger.stopProgress();
 
-`;
-      if (project.language) {
-        markdown += `**Language:** ${project.language}  
-`;
-      }
+  // Build one report per user
+  const reports = [];
+  for (const username of usernames) {
+    const report = new GitHubReport(username, window);
+    const userRepos = reposByUser.get(username);
+    report.setTotalRepos(userRepos.length);
+    report.setFilteredOutRepos(filteredOutByUser.get(username));
+    userRepos.forEach(repo => report.addProject(projectsByRepo.get(repo.full_name).clone()));
+
+    logger.startProgress(isTeam ? `Fetching activity for ${username}...` : 'Fetching your recent activity...');
+    const userActivities = await githubService.getUserActivity(username, window);
+    logger.stopProgress();
+
+    assignActivities(report, userActivities);
+    if (options.attention) {
+      logger.startProgress(`Looking for pull requests waiting on ${username}...`);
+      report.setAttentionItems(await githubService.getAttentionItems(username, options.staleDays));
+      logger.stopProgress();
+    }
+    if (options.codeChanges) {
+      await collectCodeChanges(githubService, report, userRepos, options.concurrency);
+    }
+    if (options.prMetrics) {
+      logger.startProgress(`Collecting pull request metrics for ${username}...`);
+      report.setPullRequestMetrics(await githubService.getPullRequestMetrics(username, window));
+      logger.stopProgress();
+    }
+    reports.push(report);
+  }
 
-      const activities = project.getYesterdayActivities();
-      if (activities.length > 0) {
-        markdown += `**Yesterday's Activities:**
-`;
-        activities.forEach(activity => {
-          markdown += `- ${activity.getTypeDisplay()}: [${activity.title}](${activity.url})
-`;
-        });
-      }
+  let result = reports[0];
+  if (isTeam) {
+    result = new TeamReport(window);
+    reports.forEach(report => result.addMember(report));
+    result.setTotalRepos(repos.length);
+    result.setFilteredOutRepos(filteredOutRepos.size);
+  }
 
-      if (project.lastPR) {
-        markdown += `**Latest PR:** [${project.lastPR.title}](${project.lastPR.url}) by ${project.lastPR.author} (${project.lastPR.getFormattedDate()})
-`;
-      }
+  // Carry errors logged while fetching into the report so every format includes them
+  logger.getErrors().forEach(error => result.addError(error));
 
-      markdown += '\n';
-    });
+  // Replays would mix recorded data into the local history, so they neither read nor write it
+  if (options.history && !options.replay) {
+    await saveToHistory(new ReportHistory({ dir: options.historyDir }), reports);
   }
 
-  if (report.projects.length > activeProjects.length) {
-    const inactiveProjects = report.projects.filter(p => !p.hasYesterdayActivity());
-    markdown += `## All Repositories (${report.projects.length} total)
+  // Generate and display report
+  if (logger.isPrinting()) {
+    console.log('\n' + chalk.bold.green('📊 REPORT GENERATED') + '\n');
+    if (isTeam) {
+      displayTeamConsoleReport(result);
+    } else {
+      displayConsoleReport(result);
+    }
+  }
 
-`;
-    report.projects.forEach(project => {
-      const status = project.hasYesterdayActivity() ? '🟢' : '⚪';
-      markdown += `${status} [${project.name}](${project.url})`;
-      if (project.language) {
-        markdown += ` (${project.language})`;
-      }
-      markdown += `  
-${project.description}
+  // Save each requested output format
+  const outputPaths = [];
+  for (const format of options.format) {
+    const outputPath = resolveOutputPath(options.output, format);
+    const { render, renderTeam } = OUTPUT_FORMATS[format];
+    await writeFile(outputPath, (isTeam ? renderTeam : render)(result, { template }));
+    outputPaths.push(outputPath);
+    logger.success(`Report saved to: ${outputPath}`);
+  }
 
-`;
-    });
+  const deliveries = await deliverToWebhooks(result, {
+    urls: options.webhook,
+    format: options.webhookFormat,
+    isTeam,
+    reportUrl: options.reportUrl,
+    // HTML is the best file to point people at when there is no published URL
+    reportFile: outputPaths.find(path => path.endsWith(OUTPUT_FORMATS.html.extension)) || outputPaths[0]
+  });
+  if (options.email.length > 0) {
+    deliveries.push(await deliverByEmail(result, options, { isTeam, template }));
   }
 
-  if (summary.hasErrors) {
-    markdown += `## Errors Encountered
+  // Display summary
+  logger.printSummary(githubService.getApiUsage(), deliveries);
+}
+
+async function deliverToWebhooks(report, { urls, format, isTeam, reportUrl, reportFile }) {
+  const webhookService = new WebhookService();
+  const deliveries = [];
+  for (const url of urls) {
+    const webhookFormat = format === 'auto' ? detectWebhookFormat(url) : format;
+    const payload = buildWebhookPayload(report, { format: webhookFormat, isTeam, reportUrl, reportFile });
+    deliveries.push(await webhookService.deliver(url, payload, webhookFormat));
+  }
+  return deliveries;
+}
 
-${summary.errorCount} error(s) occurred during report generation. Check the console output for details.
+async function resolveFilterCriteria(options) {
+  const fileCriteria = options.filters ? await loadFilterConfig(options.filters) : {};
+  const criteria = mergeFilterCriteria(fileCriteria, {
+    include: options.include,
+    exclude: options.exclude,
+    topics: options.topic,
+    languages: options.language,
+    visibility: options.visibility,
+    forks: options.forks,
+    archived: options.archived,
+    pushedWithinDays: options.pushedWithin
+  });
 
-`;
+  if (hasFilterCriteria(criteria)) {
+    logger.info('Repository filters are active');
   }
+  return criteria;
+}
+
+// An organization given with --org-team is narrowed to the repositories of
+// those teams; any other --org contributes all of its repositories
+async function fetchOrganizationRepos(githubService, orgs, orgTeams) {
+  const allOrgs = [...new Set([...orgs, ...orgTeams.map(({ org }) => org)])];
+  const repos = [];
+
+  for (const org of allOrgs) {
+    const teams = orgTeams.filter(entry => entry.org === org);
+    if (teams.length === 0) {
+      repos.push(...await githubService.getOrgRepos(org));
+      continue;
+    }
+    for (const { teamSlug } of teams) {
+      repos.push(...await githubService.getTeamRepos(org, teamSlug));
+    }
+  }
+
+  return dedupeRepos(repos);
+}
+
+function dedupeRepos(repos) {
+  const byFullName = new Map();
+  repos.forEach(repo => {
+    if (!byFullName.has(repo.full_name)) {
+      byFullName.set(repo.full_name, repo);
+    }
+  });
+  return [...byFullName.values()];
+}
+
+// Only repositories pushed to since the window opened can hold commits from it
+async function collectCodeChanges(githubService, report, repos, concurrency) {
+  const { window, username } = report;
+  const pushedRepos = repos.filter(repo => repo.pushed_at && new Date(repo.pushed_at) >= window.start);
+
+  logger.startProgress(`Collecting code changes for ${username}...`);
+  let completed = 0;
+  await mapWithConcurrency(pushedRepos, concurrency, async repo => {
+    const project = report.projects.find(p => p.fullName === repo.full_name);
+    project.codeChanges = await githubService.getCodeChanges(repo.owner.login, repo.name, username, window);
+    completed++;
+    logger.updateProgress(`Collecting code changes for ${username}... (${completed}/${pushedRepos.length})`);
+  });
+  logger.stopProgress();
+}
 
-  markdown += `---
-*Report generated by GitHub Activity Report Generator*
-`;
+// The HTML rendering is the body; the markdown rendering rides along as the
+// plain-text part or as an attachment
+async function deliverByEmail(report, options, { isTeam, template }) {
+  const renderHtml = isTeam ? OUTPUT_FORMATS.html.renderTeam : OUTPUT_FORMATS.html.render;
+  const renderMarkdown = isTeam ? OUTPUT_FORMATS.markdown.renderTeam : OUTPUT_FORMATS.markdown.render;
+  const markdown = renderMarkdown(report, { template });
+  const range = report.window.getRangeDescription();
+  const smtpUser = options.smtpUser || null;
+
+  const emailService = new EmailService({
+    host: options.smtpHost,
+    port: options.smtpPort,
+    tls: options.smtpTls,
+    user: smtpUser,
+    password: process.env.SMTP_PASSWORD
+  });
+  return emailService.deliver({
+    from: options.emailFrom || (smtpUser?.includes('@') ? smtpUser : 'github-report@localhost'),
+    to: options.email,
+    subject: options.emailSubject || (isTeam ? `GitHub Team Activity Report – ${range}` : `GitHub Activity Report for ${report.username} – ${range}`),
+    html: renderHtml(report),
+    ...(options.emailMarkdown === 'attachment'
+      ? { attachments: [{ filename: basename(resolveOutputPath(options.output, 'markdown')), content: markdown, contentType: 'text/markdown; charset=utf-8' }] }
+      : { text: markdown })
+  });
+}
 
-  return markdown;
+// Each user's report is compared with their earlier ones, then stored
+async function saveToHistory(history, reports) {
+  for (const report of reports) {
+    try {
+      report.setTrend(await history.getTrend(report));
+      const id = await history.save(report);
+      logger.info(`Saved to history as ${id}`);
+    } catch (error) {
+      logger.warning(`Could not update the report history: ${error.message}`);
+    }
+  }
+}
+
+function assignActivities(report, activities) {
+  activities.forEach(activity => {
+    // Match on owner/name first; the bare name is only a fallback because it collides across owners
+    const project = report.projects.find(p => p.fullName === activity.repoName) ||
+      report.projects.find(p => !p.owner && p.name === activity.repoName.split('/').pop());
+    if (project) {
+      project.addActivity(activity);
+    }
+  });
 }
 
 program.parse();
\ No newline at end of file
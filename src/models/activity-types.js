@@ -0,0 +1,41 @@
+// Every kind of activity the report tracks, in the order summaries and report
+// sections list them. summaryKey names the executive summary counter.
+export const ACTIVITY_TYPES = [
+  { type: 'pr_created', label: 'Created PR', summaryKey: 'createdPRs', summaryLabel: 'PRs Created' },
+  { type: 'pr_merged', label: 'Merged PR', summaryKey: 'mergedPRs', summaryLabel: 'PRs Merged' },
+  { type: 'pr_closed', label: 'Closed PR', summaryKey: 'closedPRs', summaryLabel: 'PRs Closed' },
+  { type: 'pr_reviewed', label: 'Reviewed PR', summaryKey: 'reviews', summaryLabel: 'Reviews Given' },
+  { type: 'pr_review_commented', label: 'Review Comment', summaryKey: 'reviewComments', summaryLabel: 'Review Comments' },
+  { type: 'pr_commented', label: 'Commented on PR', summaryKey: 'comments', summaryLabel: 'PR Comments' },
+  { type: 'issue_opened', label: 'Opened Issue', summaryKey: 'openedIssues', summaryLabel: 'Issues Opened' },
+  { type: 'issue_closed', label: 'Closed Issue', summaryKey: 'closedIssues', summaryLabel: 'Issues Closed' },
+  { type: 'issue_commented', label: 'Commented on Issue', summaryKey: 'issueComments', summaryLabel: 'Issue Comments' },
+  { type: 'pushed', label: 'Pushed', summaryKey: 'pushes', summaryLabel: 'Pushes' },
+  { type: 'branch_created', label: 'Created Branch', summaryKey: 'branchesCreated', summaryLabel: 'Branches Created' },
+  { type: 'tag_created', label: 'Created Tag', summaryKey: 'tagsCreated', summaryLabel: 'Tags Created' },
+  { type: 'release_published', label: 'Published Release', summaryKey: 'releases', summaryLabel: 'Releases Published' },
+  { type: 'wiki_edited', label: 'Edited Wiki', summaryKey: 'wikiEdits', summaryLabel: 'Wiki Edits' }
+];
+
+export const SUMMARY_KEYS = ACTIVITY_TYPES.map(({ summaryKey }) => summaryKey);
+
+export function getActivityType(type) {
+  return ACTIVITY_TYPES.find(entry => entry.type === type) || null;
+}
+
+// One counter per type, zeros included, keyed by summaryKey
+export function countActivitiesByType(activities) {
+  const counts = Object.fromEntries(SUMMARY_KEYS.map(key => [key, 0]));
+  activities.forEach(activity => {
+    const entry = getActivityType(activity.type);
+    if (entry) counts[entry.summaryKey]++;
+  });
+  return counts;
+}
+
+// The non-empty types with their activities, for per-type report sections
+export function groupActivitiesByType(activities) {
+  return ACTIVITY_TYPES
+    .map(entry => ({ ...entry, activities: activities.filter(activity => activity.type === entry.type) }))
+    .filter(group => group.activities.length > 0);
+}
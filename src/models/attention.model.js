@@ -0,0 +1,55 @@
+import { now } from '../utils/clock.js';
+import { formatElapsed } from '../utils/stats.js';
+
+export const DEFAULT_STALE_DAYS = 7;
+
+// Why a pull request needs the user, in the order the report lists them
+export const ATTENTION_REASONS = [
+  { reason: 'review_requested', label: 'Review Requested' },
+  { reason: 'changes_requested', label: 'Changes Requested' },
+  { reason: 'failing_checks', label: 'Failing Checks' },
+  { reason: 'stale', label: 'No Recent Activity' }
+];
+
+export function getAttentionReason(reason) {
+  return ATTENTION_REASONS.find(entry => entry.reason === reason) || null;
+}
+
+// An open pull request waiting on the user. waitingSince is when the wait
+// began: the review request, the change request, the failed check or the
+// last update.
+export class AttentionItem {
+  constructor({ reason, title, url, repoName, waitingSince, detail = null, waitingOn = null }) {
+    this.reason = reason; // one of ATTENTION_REASONS
+    this.title = title;
+    this.url = url;
+    this.repoName = repoName;
+    this.waitingSince = new Date(waitingSince);
+    this.detail = detail;
+    this.waitingOn = waitingOn; // usernames, in team reports
+  }
+
+  get waitingFor() {
+    return Math.max(0, now().getTime() - this.waitingSince.getTime());
+  }
+
+  getFormattedWait() {
+    return formatElapsed(this.waitingFor);
+  }
+
+  getReasonLabel() {
+    return getAttentionReason(this.reason)?.label || this.reason;
+  }
+}
+
+// The non-empty reasons with their items, longest waiting first
+export function groupAttentionItems(items) {
+  return ATTENTION_REASONS
+    .map(entry => ({
+      ...entry,
+      items: items
+        .filter(item => item.reason === entry.reason)
+        .sort((a, b) => a.waitingSince - b.waitingSince)
+    }))
+    .filter(group => group.items.length > 0);
+}
@@ -0,0 +1,78 @@
+import { getLocalTimeZone, formatZonedDate } from '../utils/timezone.js';
+
+// Directories are grouped this many levels deep, so "src/services/api.js"
+// counts towards "src/services"
+const DIRECTORY_DEPTH = 2;
+const TOP_DIRECTORY_LIMIT = 5;
+const ROOT_DIRECTORY = '(root)';
+
+export function getDirectory(filename) {
+  const parts = filename.split('/').slice(0, -1);
+  return parts.length > 0 ? parts.slice(0, DIRECTORY_DEPTH).join('/') : ROOT_DIRECTORY;
+}
+
+export class Commit {
+  constructor(sha, message, url, date, additions = 0, deletions = 0, files = []) {
+    this.sha = sha;
+    this.message = message;
+    this.url = url;
+    this.date = new Date(date);
+    this.additions = additions;
+    this.deletions = deletions;
+    this.files = files; // [{ filename, additions, deletions }]
+  }
+
+  // The first line of the commit message
+  get title() {
+    return this.message.split('\n')[0];
+  }
+
+  getFormattedDate(timeZone = getLocalTimeZone()) {
+    return formatZonedDate(this.date, timeZone);
+  }
+}
+
+// A user's commits to one repository during the reporting window
+export class CodeChanges {
+  constructor(commits = []) {
+    this.commits = commits;
+  }
+
+  get additions() {
+    return this.commits.reduce((total, commit) => total + commit.additions, 0);
+  }
+
+  get deletions() {
+    return this.commits.reduce((total, commit) => total + commit.deletions, 0);
+  }
+
+  getFilesTouched() {
+    return new Set(this.commits.flatMap(commit => commit.files.map(file => file.filename)));
+  }
+
+  getTopDirectories(limit = TOP_DIRECTORY_LIMIT) {
+    const byDirectory = new Map();
+    this.commits.forEach(commit => {
+      commit.files.forEach(file => {
+        const path = getDirectory(file.filename);
+        const entry = byDirectory.get(path) || { path, additions: 0, deletions: 0 };
+        entry.additions += file.additions;
+        entry.deletions += file.deletions;
+        byDirectory.set(path, entry);
+      });
+    });
+
+    return [...byDirectory.values()]
+      .sort((a, b) => (b.additions + b.deletions) - (a.additions + a.deletions) || a.path.localeCompare(b.path))
+      .slice(0, limit);
+  }
+
+  getSummary() {
+    return {
+      commits: this.commits.length,
+      additions: this.additions,
+      deletions: this.deletions,
+      filesChanged: this.getFilesTouched().size
+    };
+  }
+}
@@ -0,0 +1,115 @@
+import { median, findHighOutliers, formatElapsed } from '../utils/stats.js';
+
+function elapsed(from, to) {
+  return from && to ? to.getTime() - from.getTime() : null;
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+// One of the user's own pull requests. A review round is a review that
+// requested changes, plus one for the PR's first review of any kind.
+export class PullRequestLifecycle {
+  constructor({ title, url, repoName, createdAt, firstReviewAt = null, mergedAt = null, reviewRounds = 0, additions = 0, deletions = 0, changedFiles = 0 }) {
+    this.title = title;
+    this.url = url;
+    this.repoName = repoName;
+    this.createdAt = toDate(createdAt);
+    this.firstReviewAt = toDate(firstReviewAt);
+    this.mergedAt = toDate(mergedAt);
+    this.reviewRounds = reviewRounds;
+    this.additions = additions;
+    this.deletions = deletions;
+    this.changedFiles = changedFiles;
+  }
+
+  get timeToFirstReview() {
+    return elapsed(this.createdAt, this.firstReviewAt);
+  }
+
+  get timeToMerge() {
+    return elapsed(this.createdAt, this.mergedAt);
+  }
+
+  // Lines changed
+  get size() {
+    return this.additions + this.deletions;
+  }
+}
+
+// A review the user gave after being asked for it
+export class ReviewTurnaround {
+  constructor({ title, url, repoName, requestedAt, reviewedAt }) {
+    this.title = title;
+    this.url = url;
+    this.repoName = repoName;
+    this.requestedAt = toDate(requestedAt);
+    this.reviewedAt = toDate(reviewedAt);
+  }
+
+  get latency() {
+    return elapsed(this.requestedAt, this.reviewedAt);
+  }
+}
+
+// Lifecycle metrics of the PRs a user authored and turnaround of the reviews
+// they gave. Each metric reports its median and the PRs far above it.
+export const PR_METRICS = [
+  { key: 'timeToFirstReview', label: 'Time to first review', unit: 'duration', source: 'pullRequests' },
+  { key: 'timeToMerge', label: 'Time to merge', unit: 'duration', source: 'pullRequests' },
+  { key: 'reviewRounds', label: 'Review rounds', unit: 'count', source: 'pullRequests' },
+  { key: 'size', label: 'PR size (lines)', unit: 'count', source: 'pullRequests' },
+  { key: 'latency', label: 'Review latency', unit: 'duration', source: 'reviews' }
+];
+
+export function formatMetricValue(metric, value) {
+  if (value === null || value === undefined) return '–';
+  if (metric.unit === 'duration') return formatElapsed(value);
+  return String(Math.round(value * 10) / 10);
+}
+
+export class PullRequestMetrics {
+  constructor(pullRequests = [], reviews = []) {
+    this.pullRequests = pullRequests;
+    this.reviews = reviews;
+  }
+
+  static merge(metricsList) {
+    return new PullRequestMetrics(
+      metricsList.flatMap(metrics => metrics.pullRequests),
+      metricsList.flatMap(metrics => metrics.reviews)
+    );
+  }
+
+  isEmpty() {
+    return this.pullRequests.length === 0 && this.reviews.length === 0;
+  }
+
+  getValues(metric) {
+    return this[metric.source]
+      .map(item => item[metric.key])
+      .filter(value => value !== null);
+  }
+
+  getSummary() {
+    const summary = {
+      authoredPRs: this.pullRequests.length,
+      mergedPRs: this.pullRequests.filter(pr => pr.mergedAt).length,
+      reviewsGiven: this.reviews.length
+    };
+    PR_METRICS.forEach(metric => {
+      summary[metric.key] = { median: median(this.getValues(metric)), samples: this.getValues(metric).length };
+    });
+    return summary;
+  }
+
+  // [{ metric, item, value }] sorted by metric, largest value first
+  getOutliers() {
+    return PR_METRICS.flatMap(metric =>
+      findHighOutliers(this[metric.source], item => item[metric.key])
+        .map(item => ({ metric, item, value: item[metric.key] }))
+        .sort((a, b) => b.value - a.value)
+    );
+  }
+}
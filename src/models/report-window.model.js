@@ -0,0 +1,159 @@
+import {
+  getLocalTimeZone,
+  getZonedParts,
+  zonedMidnight,
+  startOfZonedDay,
+  addZonedDays,
+  toZonedDateKey,
+  formatZonedDate,
+  toZonedDateString
+} from '../utils/timezone.js';
+import { now as clockNow } from '../utils/clock.js';
+
+export const PERIOD_PRESETS = {
+  day: { days: 1, label: 'yesterday' },
+  workday: { days: null, label: 'previous working day' },
+  week: { days: 7, label: 'last 7 days' },
+  sprint: { days: 14, label: 'last sprint' },
+  month: { days: 30, label: 'last 30 days' }
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKEND_DAYS = [0, 6];
+// Guards against a holiday list that never lets a working day through
+const MAX_WORKING_DAY_LOOKBACK = 31;
+
+function parseDateOption(value, optionName, timeZone) {
+  if (DATE_ONLY_PATTERN.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return { date: zonedMidnight(year, month, day, timeZone), dateOnly: true };
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${optionName}: ${value}`);
+  }
+  return { date, dateOnly: false };
+}
+
+function isWorkingDay(date, timeZone, holidays) {
+  const { weekday } = getZonedParts(date, timeZone);
+  return !WEEKEND_DAYS.includes(weekday) && !holidays.has(toZonedDateKey(date, timeZone));
+}
+
+// Walks back from the start of today to the most recent working day, so a
+// Monday report covers Friday through Sunday
+function findPreviousWorkingDay(today, timeZone, holidays) {
+  let candidate = addZonedDays(today, -1, timeZone);
+  for (let i = 0; i < MAX_WORKING_DAY_LOOKBACK; i++) {
+    if (isWorkingDay(candidate, timeZone, holidays)) {
+      return candidate;
+    }
+    candidate = addZonedDays(candidate, -1, timeZone);
+  }
+  throw new Error(`No working day found in the last ${MAX_WORKING_DAY_LOOKBACK} days - check the holiday list`);
+}
+
+export class ReportWindow {
+  constructor(start, end, label = null, timeZone = getLocalTimeZone()) {
+    this.start = new Date(start);
+    this.end = new Date(end);
+    this.timeZone = timeZone;
+    this.label = label || this.getRangeDescription();
+  }
+
+  contains(date) {
+    const value = new Date(date);
+    return value >= this.start && value < this.end;
+  }
+
+  getDayCount() {
+    return Math.round((this.end - this.start) / (24 * 60 * 60 * 1000));
+  }
+
+  isYesterday() {
+    return this.label === PERIOD_PRESETS.day.label;
+  }
+
+  formatDate(date) {
+    return formatZonedDate(date, this.timeZone);
+  }
+
+  getRangeDescription() {
+    const lastDay = new Date(this.end.getTime() - 1);
+    if (toZonedDateKey(this.start, this.timeZone) === toZonedDateKey(lastDay, this.timeZone)) {
+      return toZonedDateString(this.start, this.timeZone);
+    }
+    return `${this.formatDate(this.start)} – ${this.formatDate(lastDay)}`;
+  }
+
+  getTitle() {
+    return this.label.charAt(0).toUpperCase() + this.label.slice(1);
+  }
+
+  getActivitiesHeading() {
+    return this.isYesterday() ? "Yesterday's Activities" : `Activities (${this.getTitle()})`;
+  }
+
+  static fromOptions(options = {}, now = clockNow()) {
+    const {
+      since,
+      until,
+      days,
+      period = 'day',
+      timeZone = getLocalTimeZone(),
+      holidays = new Set()
+    } = options;
+    const preset = PERIOD_PRESETS[period];
+
+    if (!preset) {
+      throw new Error(`Unknown period: ${period} (expected one of ${Object.keys(PERIOD_PRESETS).join(', ')})`);
+    }
+
+    if (days !== undefined && (!Number.isInteger(days) || days < 1)) {
+      throw new Error(`Invalid value for --days: ${days} (expected a positive whole number)`);
+    }
+
+    const today = startOfZonedDay(now, timeZone);
+    const isPresetWindow = !since && !until;
+
+    if (isPresetWindow && !days && period === 'workday') {
+      const start = findPreviousWorkingDay(today, timeZone, holidays);
+      return new ReportWindow(start, today, preset.label, timeZone);
+    }
+
+    const dayCount = days || preset.days || 1;
+    let start;
+    let end;
+
+    if (until) {
+      const parsed = parseDateOption(until, '--until', timeZone);
+      end = parsed.dateOnly ? addZonedDays(parsed.date, 1, timeZone) : parsed.date;
+    } else {
+      end = since ? new Date(now) : today;
+    }
+
+    if (since) {
+      start = parseDateOption(since, '--since', timeZone).date;
+    } else {
+      const endDay = startOfZonedDay(end, timeZone);
+      const endsAtMidnight = end.getTime() === endDay.getTime();
+      start = addZonedDays(endDay, endsAtMidnight ? -dayCount : 1 - dayCount, timeZone);
+    }
+
+    if (start >= end) {
+      throw new Error('The reporting window is empty: --since must be before --until');
+    }
+
+    let label = null;
+    if (isPresetWindow) {
+      if (!days) {
+        label = preset.label;
+      } else {
+        label = days === 1 ? PERIOD_PRESETS.day.label : `last ${days} days`;
+      }
+    }
+
+    return new ReportWindow(start, end, label, timeZone);
+  }
+}
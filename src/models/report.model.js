@@ -1,3 +1,9 @@
+import { getLocalTimeZone, formatZonedDate } from '../utils/timezone.js';
+import { now } from '../utils/clock.js';
+import { getActivityType, countActivitiesByType, SUMMARY_KEYS } from './activity-types.js';
+import { PullRequestMetrics } from './pr-metrics.model.js';
+import { AttentionItem } from './attention.model.js';
+
 export class PullRequest {
   constructor(title, url, author, date, state = 'unknown') {
     this.title = title;
@@ -7,95 +13,85 @@ export class PullRequest {
     this.state = state;
   }
 
-  getFormattedDate() {
-    return this.date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
-    });
+  getFormattedDate(timeZone = getLocalTimeZone()) {
+    return formatZonedDate(this.date, timeZone);
   }
 
-  isFromYesterday() {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(0, 0, 0, 0);
-    
-    const tomorrow = new Date(yesterday);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    return this.date >= yesterday && this.date < tomorrow;
+  isWithin(window) {
+    return window.contains(this.date);
   }
 }
 
 export class Activity {
   constructor(type, title, url, date, repoName) {
-    this.type = type; // 'pr_created', 'pr_commented', 'pr_reviewed'
+    this.type = type; // one of ACTIVITY_TYPES
     this.title = title;
     this.url = url;
     this.date = new Date(date);
     this.repoName = repoName;
   }
 
-  getFormattedDate() {
-    return this.date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
-    });
+  getFormattedDate(timeZone = getLocalTimeZone()) {
+    return formatZonedDate(this.date, timeZone);
   }
 
-  isFromYesterday() {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(0, 0, 0, 0);
-    
-    const tomorrow = new Date(yesterday);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    return this.date >= yesterday && this.date < tomorrow;
+  isWithin(window) {
+    return window.contains(this.date);
   }
 
   getTypeDisplay() {
-    const typeMap = {
-      'pr_created': 'Created PR',
-      'pr_commented': 'Commented on PR',
-      'pr_reviewed': 'Reviewed PR',
-      'issue_commented': 'Commented on Issue'
-    };
-    return typeMap[this.type] || this.type;
+    return getActivityType(this.type)?.label || this.type;
   }
 }
 
 export class ProjectSummary {
-  constructor(name, description, url, language, lastPR = null) {
+  constructor(name, description, url, language, lastPR = null, owner = null) {
     this.name = name;
+    this.owner = owner;
     this.description = description || 'No description available';
     this.url = url;
     this.language = language;
     this.lastPR = lastPR;
     this.myActivities = [];
+    this.codeChanges = null;
+  }
+
+  // Repository names collide across owners, so renderers show owner/name
+  get fullName() {
+    return this.owner ? `${this.owner}/${this.name}` : this.name;
+  }
+
+  // Copies the repository details without activities, so several users can
+  // share one fetch of the same repository
+  clone() {
+    return new ProjectSummary(this.name, this.description, this.url, this.language, this.lastPR, this.owner);
   }
 
   addActivity(activity) {
     this.myActivities.push(activity);
   }
 
-  hasYesterdayActivity() {
-    return this.myActivities.some(activity => activity.isFromYesterday()) ||
-           (this.lastPR && this.lastPR.isFromYesterday());
+  hasActivityWithin(window) {
+    return this.myActivities.some(activity => activity.isWithin(window)) ||
+           Boolean(this.lastPR && this.lastPR.isWithin(window));
   }
 
-  getYesterdayActivities() {
-    return this.myActivities.filter(activity => activity.isFromYesterday());
+  getActivitiesWithin(window) {
+    return this.myActivities.filter(activity => activity.isWithin(window));
   }
 }
 
 export class GitHubReport {
-  constructor(username) {
+  constructor(username, window) {
     this.username = username;
-    this.generatedAt = new Date();
+    this.window = window;
+    this.generatedAt = now();
     this.projects = [];
     this.totalReposAnalyzed = 0;
+    this.filteredOutRepos = 0;
+    this.prMetrics = null;
+    this.attentionItems = null;
+    this.trend = null;
     this.errors = [];
   }
 
@@ -107,35 +103,160 @@ export class GitHubReport {
     this.totalReposAnalyzed = count;
   }
 
+  setFilteredOutRepos(count) {
+    this.filteredOutRepos = count;
+  }
+
+  setPullRequestMetrics(metrics) {
+    this.prMetrics = metrics;
+  }
+
+  setAttentionItems(items) {
+    this.attentionItems = items;
+  }
+
+  setTrend(trend) {
+    this.trend = trend;
+  }
+
   addError(error) {
     this.errors.push(error);
   }
 
   getActiveProjects() {
-    return this.projects.filter(project => project.hasYesterdayActivity());
+    return this.projects.filter(project => project.hasActivityWithin(this.window));
   }
 
-  getAllYesterdayActivities() {
+  getAllActivities() {
     const activities = [];
     this.projects.forEach(project => {
-      activities.push(...project.getYesterdayActivities());
+      activities.push(...project.getActivitiesWithin(this.window));
     });
     return activities.sort((a, b) => b.date - a.date);
   }
 
+  // Projects with commits in the window, most lines changed first
+  getProjectsWithCodeChanges() {
+    const size = project => project.codeChanges.additions + project.codeChanges.deletions;
+    return this.projects
+      .filter(project => project.codeChanges && project.codeChanges.commits.length > 0)
+      .sort((a, b) => size(b) - size(a));
+  }
+
+  getCodeChangeSummary() {
+    return this.getProjectsWithCodeChanges().reduce((totals, project) => {
+      const summary = project.codeChanges.getSummary();
+      return {
+        commits: totals.commits + summary.commits,
+        linesAdded: totals.linesAdded + summary.additions,
+        linesDeleted: totals.linesDeleted + summary.deletions,
+        filesChanged: totals.filesChanged + summary.filesChanged
+      };
+    }, { commits: 0, linesAdded: 0, linesDeleted: 0, filesChanged: 0 });
+  }
+
   getExecutiveSummary() {
     const activeProjects = this.getActiveProjects();
-    const yesterdayActivities = this.getAllYesterdayActivities();
+    const activities = this.getAllActivities();
     
     return {
       totalRepos: this.totalReposAnalyzed,
+      filteredOutRepos: this.filteredOutRepos,
       activeRepos: activeProjects.length,
-      totalActivities: yesterdayActivities.length,
-      createdPRs: yesterdayActivities.filter(a => a.type === 'pr_created').length,
-      comments: yesterdayActivities.filter(a => a.type === 'pr_commented').length,
-      reviews: yesterdayActivities.filter(a => a.type === 'pr_reviewed').length,
+      totalActivities: activities.length,
+      ...countActivitiesByType(activities),
+      ...this.getCodeChangeSummary(),
       hasErrors: this.errors.length > 0,
       errorCount: this.errors.length
     };
   }
-}
\ No newline at end of file
+}
+
+export class TeamReport {
+  constructor(window) {
+    this.window = window;
+    this.generatedAt = now();
+    this.members = [];
+    this.totalReposAnalyzed = 0;
+    this.filteredOutRepos = 0;
+    this.errors = [];
+  }
+
+  addMember(report) {
+    this.members.push(report);
+  }
+
+  setTotalRepos(count) {
+    this.totalReposAnalyzed = count;
+  }
+
+  setFilteredOutRepos(count) {
+    this.filteredOutRepos = count;
+  }
+
+  addError(error) {
+    this.errors.push(error);
+  }
+
+  // All members' PRs and reviews pooled, or null when metrics weren't collected
+  getPullRequestMetrics() {
+    const collected = this.members.map(member => member.prMetrics).filter(Boolean);
+    return collected.length > 0 ? PullRequestMetrics.merge(collected) : null;
+  }
+
+  // All members' attention items, each naming who it waits on. A pull request
+  // waiting on several members for the same reason is listed once, from the
+  // earliest wait. Null when attention items weren't collected.
+  getAttentionItems() {
+    const collected = this.members.filter(member => member.attentionItems);
+    if (collected.length === 0) return null;
+
+    const items = new Map();
+    collected.forEach(member => member.attentionItems.forEach(item => {
+      const key = `${item.reason} ${item.url}`;
+      const existing = items.get(key);
+      if (!existing) {
+        items.set(key, new AttentionItem({ ...item, waitingOn: [member.username] }));
+        return;
+      }
+      existing.waitingOn.push(member.username);
+      if (item.waitingSince < existing.waitingSince) {
+        existing.waitingSince = item.waitingSince;
+      }
+    }));
+    return [...items.values()];
+  }
+
+  getAllActivities() {
+    return this.members
+      .flatMap(member => member.getAllActivities().map(activity => ({ username: member.username, activity })))
+      .sort((a, b) => b.activity.date - a.activity.date);
+  }
+
+  getTeamSummary() {
+    const members = this.members.map(member => ({
+      username: member.username,
+      ...member.getExecutiveSummary()
+    }));
+    const activeRepos = new Set(
+      this.members.flatMap(member => member.getActiveProjects().map(project => project.url))
+    );
+    const sum = key => members.reduce((total, member) => total + member[key], 0);
+
+    return {
+      memberCount: members.length,
+      totalRepos: this.totalReposAnalyzed,
+      filteredOutRepos: this.filteredOutRepos,
+      activeRepos: activeRepos.size,
+      totalActivities: sum('totalActivities'),
+      ...Object.fromEntries(SUMMARY_KEYS.map(key => [key, sum(key)])),
+      commits: sum('commits'),
+      linesAdded: sum('linesAdded'),
+      linesDeleted: sum('linesDeleted'),
+      filesChanged: sum('filesChanged'),
+      members,
+      hasErrors: this.errors.length > 0,
+      errorCount: this.errors.length
+    };
+  }
+}
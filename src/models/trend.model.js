@@ -0,0 +1,89 @@
+import { ACTIVITY_TYPES } from './activity-types.js';
+
+// Past reports generated this many days before the current one feed the average
+export const TREND_DAYS = 7;
+
+// The executive summary counters trends are reported for, in display order
+export const TREND_METRICS = [
+  { key: 'totalRepos', label: 'Total Repositories' },
+  { key: 'activeRepos', label: 'Active Repositories' },
+  { key: 'totalActivities', label: 'Total Activities' },
+  ...ACTIVITY_TYPES.map(({ summaryKey, summaryLabel }) => ({ key: summaryKey, label: summaryLabel })),
+  { key: 'commits', label: 'Commits' },
+  { key: 'linesAdded', label: 'Lines Added' },
+  { key: 'linesDeleted', label: 'Lines Deleted' },
+  { key: 'filesChanged', label: 'Files Changed' }
+];
+
+function windowKey(snapshot) {
+  return `${snapshot.window.start}/${snapshot.window.end}`;
+}
+
+export function formatDelta(delta) {
+  if (delta === null) return '–';
+  if (delta === 0) return '±0';
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+export function formatAverage(average) {
+  return average === null ? '–' : String(Math.round(average * 10) / 10);
+}
+
+// How each summary counter compares with the previous report and with the
+// average over the last TREND_DAYS days of reports. previousWindow is the
+// range description of the report compared against.
+export class SummaryTrend {
+  constructor({ previousGeneratedAt = null, previousWindow = null, sampleCount = 0, metrics = [] } = {}) {
+    this.previousGeneratedAt = previousGeneratedAt ? new Date(previousGeneratedAt) : null;
+    this.previousWindow = previousWindow;
+    this.sampleCount = sampleCount;
+    this.metrics = metrics; // [{ key, current, previous, average }]
+  }
+
+  // snapshot is the current report's serialized form, history the stored
+  // snapshots of earlier runs for the same user. Only reports of the same
+  // period (window label) are comparable, and reruns over the same window
+  // only count once, with their latest numbers.
+  static fromSnapshots(snapshot, history) {
+    const generatedAt = new Date(snapshot.generatedAt);
+    const windowStart = new Date(snapshot.window.start);
+    const earlier = history
+      .filter(entry => entry.window.label === snapshot.window.label && new Date(entry.generatedAt) < generatedAt)
+      .sort((a, b) => new Date(a.generatedAt) - new Date(b.generatedAt));
+
+    const previous = earlier.filter(entry => new Date(entry.window.start) < windowStart).pop() || null;
+
+    const averageFrom = generatedAt.getTime() - TREND_DAYS * 24 * 60 * 60 * 1000;
+    const byWindow = new Map();
+    earlier
+      .filter(entry => new Date(entry.generatedAt).getTime() >= averageFrom)
+      .forEach(entry => byWindow.set(windowKey(entry), entry));
+    byWindow.set(windowKey(snapshot), snapshot);
+    const recent = [...byWindow.values()];
+
+    if (!previous && recent.length < 2) return null;
+
+    return new SummaryTrend({
+      previousGeneratedAt: previous?.generatedAt,
+      previousWindow: previous?.window.description ?? null,
+      sampleCount: recent.length,
+      metrics: TREND_METRICS.map(({ key }) => ({
+        key,
+        current: snapshot.summary[key] ?? 0,
+        previous: previous ? previous.summary[key] ?? 0 : null,
+        average: recent.reduce((total, entry) => total + (entry.summary[key] ?? 0), 0) / recent.length
+      }))
+    });
+  }
+
+  // Metrics with something to show, labelled and with their change
+  getMetrics() {
+    return this.metrics
+      .filter(metric => metric.current || metric.previous || metric.average)
+      .map(metric => ({
+        ...metric,
+        label: TREND_METRICS.find(entry => entry.key === metric.key)?.label || metric.key,
+        delta: metric.previous === null ? null : metric.current - metric.previous
+      }));
+  }
+}
@@ -0,0 +1,214 @@
+import chalk from 'chalk';
+import { ACTIVITY_TYPES, groupActivitiesByType } from '../models/activity-types.js';
+import { PR_METRICS, formatMetricValue } from '../models/pr-metrics.model.js';
+import { groupAttentionItems } from '../models/attention.model.js';
+import { TREND_DAYS, formatDelta, formatAverage } from '../models/trend.model.js';
+
+function displayActivityCounts(summary) {
+  ACTIVITY_TYPES
+    .filter(({ summaryKey }) => summary[summaryKey] > 0)
+    .forEach(({ summaryKey, summaryLabel }) => {
+      console.log(`  • ${summaryLabel}: ${chalk.green(summary[summaryKey])}`);
+    });
+}
+
+function displayCodeChangeTotals(summary) {
+  if (summary.commits > 0) {
+    console.log(`Code Changes: ${chalk.blue(summary.commits)} commits, ${chalk.green(`+${summary.linesAdded}`)} / ${chalk.red(`-${summary.linesDeleted}`)} lines in ${chalk.yellow(summary.filesChanged)} files`);
+  }
+}
+
+function displayPullRequestMetrics(metrics) {
+  if (!metrics || metrics.isEmpty()) return;
+
+  const summary = metrics.getSummary();
+  console.log(chalk.bold.underline('PULL REQUEST METRICS'));
+  console.log(`PRs Authored: ${chalk.cyan(summary.authoredPRs)} (${summary.mergedPRs} merged)  Requested Reviews Given: ${chalk.cyan(summary.reviewsGiven)}`);
+  PR_METRICS.forEach(metric => {
+    const { median, samples } = summary[metric.key];
+    if (samples === 0) return;
+    console.log(`  • ${metric.label}: median ${chalk.yellow(formatMetricValue(metric, median))} ${chalk.gray(`(${samples})`)}`);
+  });
+
+  const outliers = metrics.getOutliers();
+  if (outliers.length > 0) {
+    console.log(chalk.bold('Outliers'));
+    outliers.forEach(({ metric, item, value }) => {
+      console.log(`${chalk.red('•')} ${metric.label} ${chalk.red(formatMetricValue(metric, value))}: ${item.title} (${item.repoName})`);
+      console.log(`  ${chalk.gray('URL:')} ${item.url}`);
+    });
+  }
+  console.log('');
+}
+
+function colorDelta(delta) {
+  const text = formatDelta(delta);
+  if (!delta) return chalk.gray(text);
+  return delta > 0 ? chalk.green(text) : chalk.red(text);
+}
+
+function displayTrend(trend) {
+  if (!trend) return;
+
+  const compared = trend.previousWindow ? `Compared with ${trend.previousWindow}; ` : '';
+  console.log(chalk.bold.underline('TRENDS'));
+  console.log(chalk.gray(`${compared}${TREND_DAYS}-day average over ${trend.sampleCount} reports`));
+  trend.getMetrics().forEach(metric => {
+    console.log(`  • ${metric.label}: ${chalk.cyan(metric.current)} ${colorDelta(metric.delta)} ${chalk.gray(`(avg ${formatAverage(metric.average)})`)}`);
+  });
+  console.log('');
+}
+
+// Open pull requests waiting on the user, so the report doubles as a to-do list
+function displayAttentionItems(items, emptyMessage = 'Nothing is waiting on you.') {
+  if (!items) return;
+
+  console.log(chalk.bold.underline('NEEDS ATTENTION'));
+  if (items.length === 0) {
+    console.log(chalk.green(emptyMessage) + '\n');
+    return;
+  }
+
+  groupAttentionItems(items).forEach(group => {
+    console.log(chalk.bold(`${group.label} (${group.items.length})`));
+    group.items.forEach(item => {
+      console.log(`${chalk.yellow('•')} ${item.title} ${chalk.gray(`(${item.repoName})`)}`);
+      if (item.waitingOn) {
+        console.log(`  ${chalk.gray('Waiting on:')} ${chalk.cyan(item.waitingOn.join(', '))}`);
+      }
+      console.log(`  ${chalk.gray('Waiting:')} ${chalk.yellow(item.getFormattedWait())}${item.detail ? ` ${chalk.gray(`- ${item.detail}`)}` : ''}`);
+      console.log(`  ${chalk.gray('URL:')} ${item.url}`);
+    });
+    console.log('');
+  });
+}
+
+function formatDirectories(directories) {
+  return directories.map(dir => `${dir.path} (+${dir.additions}/-${dir.deletions})`).join(', ');
+}
+
+// Team reports list every member's attention items together up front, so
+// they leave them out of the member sections
+export function displayConsoleReport(report, { attention = true } = {}) {
+  const summary = report.getExecutiveSummary();
+  const activeProjects = report.getActiveProjects();
+  const activities = report.getAllActivities();
+  const { window } = report;
+
+  if (attention) {
+    displayAttentionItems(report.attentionItems);
+  }
+
+  // Executive Summary
+  console.log(chalk.bold.underline('EXECUTIVE SUMMARY'));
+  console.log(`User: ${chalk.cyan(report.username)}`);
+  console.log(`Total Repositories: ${chalk.yellow(summary.totalRepos)}`);
+  if (summary.filteredOutRepos > 0) {
+    console.log(`Filtered Out Repositories: ${chalk.gray(summary.filteredOutRepos)}`);
+  }
+  console.log(`Active Repositories (${window.label}): ${chalk.green(summary.activeRepos)}`);
+  console.log(`Total Activities: ${chalk.blue(summary.totalActivities)}`);
+  
+  displayActivityCounts(summary);
+  displayCodeChangeTotals(summary);
+
+  if (summary.hasErrors) {
+    console.log(`Errors Encountered: ${chalk.red(summary.errorCount)}`);
+  }
+  console.log('');
+
+  displayTrend(report.trend);
+
+  // Activities in the reporting window, one section per type
+  if (activities.length > 0) {
+    console.log(chalk.bold.underline(window.getActivitiesHeading().toUpperCase()) + '\n');
+    groupActivitiesByType(activities).forEach(group => {
+      console.log(chalk.bold(`${group.summaryLabel} (${group.activities.length})`));
+      group.activities.forEach(activity => {
+        console.log(`${chalk.cyan('•')} ${activity.title}`);
+        console.log(`  ${chalk.gray('Repository:')} ${activity.repoName}`);
+        console.log(`  ${chalk.gray('Time:')} ${activity.getFormattedDate(window.timeZone)}`);
+        console.log(`  ${chalk.gray('URL:')} ${activity.url}\n`);
+      });
+    });
+  }
+
+  // Code changes per repository
+  const changedProjects = report.getProjectsWithCodeChanges();
+  if (changedProjects.length > 0) {
+    console.log(chalk.bold.underline('CODE CHANGES'));
+    changedProjects.forEach(project => {
+      const { commits, additions, deletions, filesChanged } = project.codeChanges.getSummary();
+      console.log(`${chalk.cyan('•')} ${project.fullName}: ${commits} commits, ${chalk.green(`+${additions}`)} / ${chalk.red(`-${deletions}`)} lines, ${filesChanged} files`);
+      console.log(`  ${chalk.gray('Top directories:')} ${formatDirectories(project.codeChanges.getTopDirectories())}\n`);
+    });
+  }
+
+  displayPullRequestMetrics(report.prMetrics);
+
+  // Active Projects Summary
+  if (activeProjects.length > 0) {
+    console.log(chalk.bold.underline('ACTIVE PROJECTS'));
+    activeProjects.forEach(project => {
+      console.log(`${chalk.cyan('•')} ${project.fullName}`);
+      console.log(`  ${chalk.gray('Description:')} ${project.description}`);
+      if (project.language) {
+        console.log(`  ${chalk.gray('Language:')} ${project.language}`);
+      }
+      console.log(`  ${chalk.gray('Activities:')} ${project.getActivitiesWithin(window).length}`);
+      console.log(`  ${chalk.gray('URL:')} ${project.url}\n`);
+    });
+  } else {
+    console.log(chalk.yellow(`No activity detected for ${window.label}.`));
+    console.log('This could mean:');
+    console.log(`• No GitHub activity occurred during ${window.label}`);
+    console.log('• Activities occurred in private repositories not accessible');
+    console.log('• Rate limiting prevented full data collection');
+  }
+}
+
+export function displayTeamConsoleReport(teamReport) {
+  const summary = teamReport.getTeamSummary();
+  const { window } = teamReport;
+
+  displayAttentionItems(teamReport.getAttentionItems(), 'Nothing is waiting on the team.');
+
+  // Team Summary
+  console.log(chalk.bold.underline('TEAM SUMMARY'));
+  console.log(`Members: ${chalk.cyan(summary.members.map(member => member.username).join(', '))}`);
+  console.log(`Total Repositories: ${chalk.yellow(summary.totalRepos)}`);
+  if (summary.filteredOutRepos > 0) {
+    console.log(`Filtered Out Repositories: ${chalk.gray(summary.filteredOutRepos)}`);
+  }
+  console.log(`Active Repositories (${window.label}): ${chalk.green(summary.activeRepos)}`);
+  console.log(`Total Activities: ${chalk.blue(summary.totalActivities)}`);
+
+  displayActivityCounts(summary);
+  displayCodeChangeTotals(summary);
+
+  if (summary.hasErrors) {
+    console.log(`Errors Encountered: ${chalk.red(summary.errorCount)}`);
+  }
+
+  // Per-person totals for every counter the team has activity in
+  console.log('\n' + chalk.bold.underline('PER-PERSON TOTALS'));
+  const nameWidth = Math.max(...summary.members.map(member => member.username.length));
+  const counters = ACTIVITY_TYPES.filter(({ summaryKey }) => summary[summaryKey] > 0);
+  summary.members.forEach(member => {
+    const counts = counters.map(({ summaryKey, summaryLabel }) => `${summaryLabel}: ${chalk.green(member[summaryKey])}`);
+    if (summary.commits > 0) {
+      counts.push(`Commits: ${chalk.blue(member.commits)}`);
+    }
+    counts.push(`Total Activities: ${chalk.blue(member.totalActivities)}`);
+    console.log(`${chalk.cyan('•')} ${member.username.padEnd(nameWidth)}  ${counts.join('  ')}`);
+  });
+
+  console.log('');
+  displayPullRequestMetrics(teamReport.getPullRequestMetrics());
+
+  // Per-person sections
+  teamReport.members.forEach(member => {
+    console.log('\n' + chalk.bold.inverse(` ${member.username} `) + '\n');
+    displayConsoleReport(member, { attention: false });
+  });
+}
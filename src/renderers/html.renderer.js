@@ -0,0 +1,481 @@
+import { formatZonedDateTime } from '../utils/timezone.js';
+import { ACTIVITY_TYPES } from '../models/activity-types.js';
+import { PR_METRICS, formatMetricValue } from '../models/pr-metrics.model.js';
+import { groupAttentionItems } from '../models/attention.model.js';
+import { TREND_DAYS, formatDelta, formatAverage } from '../models/trend.model.js';
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; background: #f6f8fa; margin: 0; padding: 24px; }
+  main { max-width: 960px; margin: 0 auto; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 18px; margin: 32px 0 12px; border-bottom: 1px solid #d0d7de; padding-bottom: 6px; }
+  a { color: #0969da; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  .meta { color: #59636e; font-size: 14px; margin: 0 0 16px; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 16px; }
+  .stats { display: flex; flex-wrap: wrap; gap: 12px; margin: 0; padding: 0; list-style: none; }
+  .stats li { flex: 1 1 120px; background: #f6f8fa; border-radius: 6px; padding: 12px; }
+  .stats .value { display: block; font-size: 24px; font-weight: 600; }
+  .stats .label { font-size: 12px; color: #59636e; text-transform: uppercase; letter-spacing: 0.04em; }
+  .errors { color: #cf222e; margin: 12px 0 0; }
+  table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #d0d7de; font-size: 14px; }
+  th, td { text-align: left; padding: 8px 12px; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+  th { background: #f6f8fa; font-weight: 600; }
+  th[data-sort] { cursor: pointer; user-select: none; }
+  th[data-sort]::after { content: " \\2195"; color: #8c959f; }
+  th[aria-sort="ascending"]::after { content: " \\2191"; color: #1f2328; }
+  th[aria-sort="descending"]::after { content: " \\2193"; color: #1f2328; }
+  .status { display: inline-block; width: 10px; height: 10px; border-radius: 50%; background: #d0d7de; }
+  .status.active { background: #1a7f37; }
+  details { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; margin: 0 0 8px; }
+  summary { cursor: pointer; padding: 12px 16px; font-weight: 600; }
+  details > div { padding: 0 16px 12px; }
+  details ul { padding-left: 20px; }
+  .muted { color: #59636e; }
+  footer { color: #59636e; font-size: 12px; margin-top: 32px; text-align: center; }
+`;
+
+// Sorting is a progressive enhancement: email clients strip scripts and the
+// tables still read fine in their original order
+const SORT_SCRIPT = `
+  document.querySelectorAll('table[data-sortable]').forEach(function (table) {
+    table.querySelectorAll('th[data-sort]').forEach(function (header, column) {
+      header.addEventListener('click', function () {
+        var ascending = header.getAttribute('aria-sort') !== 'ascending';
+        table.querySelectorAll('th').forEach(function (th) { th.removeAttribute('aria-sort'); });
+        header.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+        var body = table.tBodies[0];
+        var rows = Array.prototype.slice.call(body.rows);
+        rows.sort(function (a, b) {
+          var x = a.cells[column].getAttribute('data-value') || a.cells[column].textContent;
+          var y = b.cells[column].getAttribute('data-value') || b.cells[column].textContent;
+          return (ascending ? 1 : -1) * x.localeCompare(y, undefined, { numeric: true });
+        });
+        rows.forEach(function (row) { body.appendChild(row); });
+      });
+    });
+  });
+`;
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function link(url, text) {
+  return `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`;
+}
+
+function renderSummaryCard(summary) {
+  const stats = [
+    ['Repositories', summary.totalRepos],
+    ['Active', summary.activeRepos],
+    ['Activities', summary.totalActivities],
+    ...ACTIVITY_TYPES
+      .filter(({ summaryKey }) => summary[summaryKey] > 0)
+      .map(({ summaryKey, summaryLabel }) => [summaryLabel, summary[summaryKey]])
+  ];
+
+  if (summary.filteredOutRepos > 0) {
+    stats.splice(1, 0, ['Filtered Out', summary.filteredOutRepos]);
+  }
+
+  if (summary.commits > 0) {
+    stats.push(
+      ['Commits', summary.commits],
+      ['Lines Added', `+${summary.linesAdded}`],
+      ['Lines Deleted', `-${summary.linesDeleted}`],
+      ['Files Changed', summary.filesChanged]
+    );
+  }
+
+  const items = stats
+    .map(([label, value]) => `<li><span class="value">${escapeHtml(value)}</span><span class="label">${escapeHtml(label)}</span></li>`)
+    .join('\n        ');
+
+  const errors = summary.hasErrors
+    ? `\n      <p class="errors">${summary.errorCount} error(s) occurred during report generation.</p>`
+    : '';
+
+  return `<section class="card">
+      <ul class="stats">
+        ${items}
+      </ul>${errors}
+    </section>`;
+}
+
+function renderActivitiesTable(activities, window) {
+  const rows = activities.map(activity => `<tr>
+          <td data-value="${escapeHtml(activity.date.toISOString())}">${escapeHtml(activity.getFormattedDate(window.timeZone))}</td>
+          <td>${escapeHtml(activity.getTypeDisplay())}</td>
+          <td>${link(activity.url, activity.title)}</td>
+          <td>${escapeHtml(activity.repoName)}</td>
+        </tr>`).join('\n        ');
+
+  return `<table data-sortable>
+      <thead>
+        <tr><th data-sort>Date</th><th data-sort>Type</th><th data-sort>Title</th><th data-sort>Repository</th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>`;
+}
+
+function renderProjectSection(project, window) {
+  const activities = project.getActivitiesWithin(window);
+  const details = [`<p>${escapeHtml(project.description)}</p>`];
+
+  if (project.language) {
+    details.push(`<p><strong>Language:</strong> ${escapeHtml(project.language)}</p>`);
+  }
+
+  if (activities.length > 0) {
+    const items = activities
+      .map(activity => `<li>${escapeHtml(activity.getTypeDisplay())}: ${link(activity.url, activity.title)}</li>`)
+      .join('');
+    details.push(`<ul>${items}</ul>`);
+  }
+
+  if (project.lastPR) {
+    details.push(`<p><strong>Latest PR:</strong> ${link(project.lastPR.url, project.lastPR.title)} by ${escapeHtml(project.lastPR.author)} (${escapeHtml(project.lastPR.getFormattedDate(window.timeZone))})</p>`);
+  }
+
+  return `<details open>
+      <summary>${escapeHtml(project.fullName)} <span class="muted">(${activities.length} ${activities.length === 1 ? 'activity' : 'activities'})</span></summary>
+      <div>
+        <p>${link(project.url, project.url)}</p>
+        ${details.join('\n        ')}
+      </div>
+    </details>`;
+}
+
+function renderCodeChangesTable(projects) {
+  const rows = projects.map(project => {
+    const { commits, additions, deletions, filesChanged } = project.codeChanges.getSummary();
+    const directories = project.codeChanges.getTopDirectories()
+      .map(dir => `<code>${escapeHtml(dir.path)}</code> <span class="muted">(+${dir.additions}/-${dir.deletions})</span>`)
+      .join(', ');
+    return `<tr>
+          <td>${link(project.url, project.fullName)}</td>
+          <td>${commits}</td>
+          <td>+${additions}</td>
+          <td>-${deletions}</td>
+          <td>${filesChanged}</td>
+          <td>${directories}</td>
+        </tr>`;
+  }).join('\n        ');
+
+  return `<table data-sortable>
+      <thead>
+        <tr><th data-sort>Repository</th><th data-sort>Commits</th><th data-sort>Lines Added</th><th data-sort>Lines Deleted</th><th data-sort>Files Changed</th><th>Top Directories</th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>`;
+}
+
+function renderAttentionItems(items, emptyMessage) {
+  if (items.length === 0) {
+    return `<p class="muted">${escapeHtml(emptyMessage)}</p>`;
+  }
+
+  // Team reports say who each item waits on
+  const showWaitingOn = items.some(item => item.waitingOn);
+  const rows = groupAttentionItems(items).flatMap(group => group.items.map(item => `<tr>
+          <td>${escapeHtml(group.label)}</td>
+          <td>${link(item.url, item.title)}</td>
+          <td>${escapeHtml(item.repoName)}</td>${showWaitingOn ? `
+          <td>${escapeHtml(item.waitingOn.join(', '))}</td>` : ''}
+          <td>${escapeHtml(item.getFormattedWait())}</td>
+          <td>${escapeHtml(item.detail || '')}</td>
+        </tr>`)).join('\n        ');
+
+  return `<table>
+      <thead>
+        <tr><th>Reason</th><th>Pull Request</th><th>Repository</th>${showWaitingOn ? '<th>Waiting On</th>' : ''}<th>Waiting</th><th>Details</th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>`;
+}
+
+function renderTrend(trend) {
+  const rows = trend.getMetrics().map(metric => `<tr>
+          <td>${escapeHtml(metric.label)}</td>
+          <td>${metric.current}</td>
+          <td>${metric.previous === null ? '–' : metric.previous}</td>
+          <td>${escapeHtml(formatDelta(metric.delta))}</td>
+          <td>${escapeHtml(formatAverage(metric.average))}</td>
+        </tr>`).join('\n        ');
+  const compared = trend.previousWindow ? `Compared with ${trend.previousWindow}; ` : '';
+
+  return `<p class="muted">${escapeHtml(`${compared}${TREND_DAYS}-day average over ${trend.sampleCount} reports.`)}</p>
+    <table>
+      <thead>
+        <tr><th>Metric</th><th>Current</th><th>Previous</th><th>Change</th><th>${TREND_DAYS}-day Avg</th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>`;
+}
+
+function renderPullRequestMetrics(metrics) {
+  const summary = metrics.getSummary();
+  const rows = PR_METRICS.map(metric => `<tr>
+          <td>${escapeHtml(metric.label)}</td>
+          <td>${escapeHtml(formatMetricValue(metric, summary[metric.key].median))}</td>
+          <td>${summary[metric.key].samples}</td>
+        </tr>`).join('\n        ');
+
+  const outliers = metrics.getOutliers()
+    .map(({ metric, item, value }) => `<li>${escapeHtml(metric.label)} <strong>${escapeHtml(formatMetricValue(metric, value))}</strong>: ${link(item.url, item.title)} <span class="muted">(${escapeHtml(item.repoName)})</span></li>`)
+    .join('');
+
+  return `<p><strong>PRs authored:</strong> ${summary.authoredPRs} (${summary.mergedPRs} merged) · <strong>Requested reviews given:</strong> ${summary.reviewsGiven}</p>
+    <table>
+      <thead>
+        <tr><th>Metric</th><th>Median</th><th>Sample Size</th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>${outliers ? `\n    <h3>Outliers</h3>\n    <ul>${outliers}</ul>` : ''}`;
+}
+
+function renderRepositoriesTable(projects, window) {
+  const rows = projects.map(project => {
+    const active = project.hasActivityWithin(window);
+    const activityCount = project.getActivitiesWithin(window).length;
+    return `<tr>
+          <td data-value="${active ? 0 : 1}"><span class="status${active ? ' active' : ''}" title="${active ? 'Active' : 'Inactive'}"></span></td>
+          <td>${link(project.url, project.fullName)}</td>
+          <td>${escapeHtml(project.language || '')}</td>
+          <td>${activityCount}</td>
+          <td>${escapeHtml(project.description)}</td>
+        </tr>`;
+  }).join('\n        ');
+
+  return `<table data-sortable>
+      <thead>
+        <tr><th data-sort>Status</th><th data-sort>Repository</th><th data-sort>Language</th><th data-sort>Activities</th><th>Description</th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>`;
+}
+
+function renderErrors(errors) {
+  const items = errors
+    .map(error => `<li>${escapeHtml(error.message)}${error.context ? ` <span class="muted">(${escapeHtml(error.context)})</span>` : ''}</li>`)
+    .join('');
+  return `<h2>Errors Encountered</h2>
+    <ul class="errors">${items}</ul>`;
+}
+
+function renderDocument({ title, heading, meta, sections, window, generatedAt }) {
+  const metaItems = [
+    ...meta,
+    [window.getDayCount() > 1 ? 'Report Period' : 'Report Date', window.getRangeDescription()],
+    ['Generated', formatZonedDateTime(generatedAt, window.timeZone)]
+  ].map(([label, value]) => `<strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(heading)}</h1>
+    <p class="meta">
+      ${metaItems.join(' ·\n      ')}
+    </p>
+    ${sections.join('\n\n    ')}
+
+    <footer>Report generated by GitHub Activity Report Generator</footer>
+  </main>
+  <script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+export function generateHtmlReport(report) {
+  const summary = report.getExecutiveSummary();
+  const activeProjects = report.getActiveProjects();
+  const activities = report.getAllActivities();
+  const { window } = report;
+  const sections = [];
+
+  if (report.attentionItems) {
+    sections.push(`<h2>Needs Attention</h2>
+    ${renderAttentionItems(report.attentionItems, 'Nothing is waiting on you.')}`);
+  }
+
+  sections.push(`<h2>Executive Summary</h2>
+    ${renderSummaryCard(summary)}`);
+
+  if (report.trend) {
+    sections.push(`<h2>Trends</h2>
+    ${renderTrend(report.trend)}`);
+  }
+
+  if (activities.length > 0) {
+    sections.push(`<h2>${escapeHtml(window.getActivitiesHeading())}</h2>
+    ${renderActivitiesTable(activities, window)}`);
+  }
+
+  const changedProjects = report.getProjectsWithCodeChanges();
+  if (changedProjects.length > 0) {
+    sections.push(`<h2>Code Changes</h2>
+    ${renderCodeChangesTable(changedProjects)}`);
+  }
+
+  if (report.prMetrics && !report.prMetrics.isEmpty()) {
+    sections.push(`<h2>Pull Request Metrics</h2>
+    ${renderPullRequestMetrics(report.prMetrics)}`);
+  }
+
+  if (activeProjects.length > 0) {
+    sections.push(`<h2>Active Projects</h2>
+    ${activeProjects.map(project => renderProjectSection(project, window)).join('\n    ')}`);
+  } else {
+    sections.push(`<h2>Active Projects</h2>
+    <p class="muted">No activity detected for ${escapeHtml(window.label)}.</p>`);
+  }
+
+  if (report.projects.length > 0) {
+    sections.push(`<h2>All Repositories (${report.projects.length} total)</h2>
+    ${renderRepositoriesTable(report.projects, window)}`);
+  }
+
+  if (summary.hasErrors) {
+    sections.push(renderErrors(report.errors));
+  }
+
+  return renderDocument({
+    title: `GitHub Activity Report – ${report.username}`,
+    heading: 'GitHub Activity Report',
+    meta: [['User', report.username]],
+    sections,
+    window,
+    generatedAt: report.generatedAt
+  });
+}
+
+// One column per counter the team has activity in
+function renderMemberTotalsTable(summary) {
+  const columns = ACTIVITY_TYPES
+    .filter(({ summaryKey }) => summary[summaryKey] > 0)
+    .map(({ summaryKey, summaryLabel }) => ({ key: summaryKey, label: summaryLabel }));
+  if (summary.commits > 0) {
+    columns.push({ key: 'commits', label: 'Commits' });
+  }
+  columns.push({ key: 'totalActivities', label: 'Total Activities' }, { key: 'activeRepos', label: 'Active Repositories' });
+
+  const rows = summary.members.map(member => `<tr>
+          <td>${escapeHtml(member.username)}</td>
+          ${columns.map(({ key }) => `<td>${member[key]}</td>`).join('')}
+        </tr>`).join('\n        ');
+
+  return `<table data-sortable>
+      <thead>
+        <tr><th data-sort>Member</th>${columns.map(({ label }) => `<th data-sort>${escapeHtml(label)}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>`;
+}
+
+function renderMemberSection(member, window) {
+  const activities = member.getAllActivities();
+  const activeProjects = member.getActiveProjects();
+  const parts = [renderSummaryCard(member.getExecutiveSummary())];
+
+  if (member.trend) {
+    parts.push(`<h3>Trends</h3>
+        ${renderTrend(member.trend)}`);
+  }
+
+  if (activities.length > 0) {
+    parts.push(`<h3>${escapeHtml(window.getActivitiesHeading())}</h3>
+        ${renderActivitiesTable(activities, window)}`);
+  } else {
+    parts.push(`<p class="muted">No activity detected for ${escapeHtml(window.label)}.</p>`);
+  }
+
+  const changedProjects = member.getProjectsWithCodeChanges();
+  if (changedProjects.length > 0) {
+    parts.push(`<h3>Code Changes</h3>
+        ${renderCodeChangesTable(changedProjects)}`);
+  }
+
+  if (activeProjects.length > 0) {
+    const items = activeProjects
+      .map(project => `<li>${link(project.url, project.fullName)}${project.language ? ` <span class="muted">(${escapeHtml(project.language)})</span>` : ''}</li>`)
+      .join('');
+    parts.push(`<h3>Active Projects</h3>
+        <ul>${items}</ul>`);
+  }
+
+  return `<details open>
+      <summary>${escapeHtml(member.username)} <span class="muted">(${activities.length} ${activities.length === 1 ? 'activity' : 'activities'})</span></summary>
+      <div>
+        ${parts.join('\n        ')}
+      </div>
+    </details>`;
+}
+
+export function generateTeamHtmlReport(teamReport) {
+  const summary = teamReport.getTeamSummary();
+  const { window } = teamReport;
+  const sections = [];
+  const memberNames = summary.members.map(member => member.username).join(', ');
+
+  const attentionItems = teamReport.getAttentionItems();
+  if (attentionItems) {
+    sections.push(`<h2>Needs Attention</h2>
+    ${renderAttentionItems(attentionItems, 'Nothing is waiting on the team.')}`);
+  }
+
+  sections.push(`<h2>Team Summary</h2>
+    ${renderSummaryCard(summary)}`);
+
+  sections.push(`<h2>Totals per Person</h2>
+    ${renderMemberTotalsTable(summary)}`);
+
+  const prMetrics = teamReport.getPullRequestMetrics();
+  if (prMetrics && !prMetrics.isEmpty()) {
+    sections.push(`<h2>Pull Request Metrics</h2>
+    ${renderPullRequestMetrics(prMetrics)}`);
+  }
+
+  sections.push(`<h2>Members</h2>
+    ${teamReport.members.map(member => renderMemberSection(member, window)).join('\n    ')}`);
+
+  if (summary.hasErrors) {
+    sections.push(renderErrors(teamReport.errors));
+  }
+
+  return renderDocument({
+    title: `GitHub Team Activity Report – ${memberNames}`,
+    heading: 'GitHub Team Activity Report',
+    meta: [['Team', memberNames]],
+    sections,
+    window,
+    generatedAt: teamReport.generatedAt
+  });
+}
@@ -0,0 +1,46 @@
+import { extname } from 'path';
+import { generateMarkdownReport, generateTeamMarkdownReport } from './markdown.renderer.js';
+import { generateJsonReport, generateTeamJsonReport } from './json.renderer.js';
+import { generateHtmlReport, generateTeamHtmlReport } from './html.renderer.js';
+
+export { displayConsoleReport, displayTeamConsoleReport } from './console.renderer.js';
+
+export const OUTPUT_FORMATS = {
+  markdown: { extension: '.md', render: generateMarkdownReport, renderTeam: generateTeamMarkdownReport },
+  json: { extension: '.json', render: generateJsonReport, renderTeam: generateTeamJsonReport },
+  html: { extension: '.html', render: generateHtmlReport, renderTeam: generateTeamHtmlReport }
+};
+
+export function parseFormats(value) {
+  const formats = [...new Set(value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean))];
+  const unknown = formats.filter(format => !OUTPUT_FORMATS[format]);
+
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown output format: ${unknown.join(', ') || value} (expected one or more of ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+  }
+
+  return formats;
+}
+
+// Every format is written next to the --output file, with the extension swapped
+// for the format's own (github-report.md -> github-report.json)
+export function resolveOutputPath(output, format) {
+  const { extension } = OUTPUT_FORMATS[format];
+  const knownExtensions = Object.values(OUTPUT_FORMATS).map(entry => entry.extension);
+  const currentExtension = extname(output);
+  const base = knownExtensions.includes(currentExtension)
+    ? output.slice(0, -currentExtension.length)
+    : output;
+
+  return base + extension;
+}
+
+// Inserts a stamp before the extension so repeated runs keep their files
+// (github-report.md -> github-report-2025-09-12.md)
+export function stampOutputPath(output, stamp) {
+  const knownExtensions = Object.values(OUTPUT_FORMATS).map(entry => entry.extension);
+  const currentExtension = extname(output);
+  return knownExtensions.includes(currentExtension)
+    ? `${output.slice(0, -currentExtension.length)}-${stamp}${currentExtension}`
+    : `${output}-${stamp}`;
+}
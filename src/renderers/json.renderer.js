@@ -0,0 +1,288 @@
+import { GitHubReport, ProjectSummary, PullRequest, Activity } from '../models/report.model.js';
+import { ReportWindow } from '../models/report-window.model.js';
+import { Commit, CodeChanges } from '../models/code-changes.model.js';
+import { PR_METRICS, PullRequestMetrics, PullRequestLifecycle, ReviewTurnaround } from '../models/pr-metrics.model.js';
+import { AttentionItem } from '../models/attention.model.js';
+import { SummaryTrend } from '../models/trend.model.js';
+
+// Bump the major version for breaking changes (removed or renamed fields) and
+// the minor version when fields are added. See schema/report.schema.json.
+export const REPORT_SCHEMA_VERSION = '1.9.0';
+
+function serializeDate(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+function serializeActivity(activity) {
+  return {
+    type: activity.type,
+    typeDisplay: activity.getTypeDisplay(),
+    title: activity.title,
+    url: activity.url,
+    date: serializeDate(activity.date),
+    repoName: activity.repoName
+  };
+}
+
+function serializePullRequest(pullRequest) {
+  if (!pullRequest) return null;
+
+  return {
+    title: pullRequest.title,
+    url: pullRequest.url,
+    author: pullRequest.author,
+    date: serializeDate(pullRequest.date),
+    state: pullRequest.state
+  };
+}
+
+function serializeCodeChanges(codeChanges) {
+  if (!codeChanges) return null;
+
+  const { commits, additions, deletions, filesChanged } = codeChanges.getSummary();
+  return {
+    commitCount: commits,
+    additions,
+    deletions,
+    filesChanged,
+    topDirectories: codeChanges.getTopDirectories(),
+    commits: codeChanges.commits.map(commit => ({
+      sha: commit.sha,
+      title: commit.title,
+      url: commit.url,
+      date: serializeDate(commit.date),
+      additions: commit.additions,
+      deletions: commit.deletions,
+      filesChanged: commit.files.length,
+      files: commit.files
+    }))
+  };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function roundTo2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Durations are reported in hours
+function toHours(ms) {
+  return ms === null ? null : roundTo2(ms / HOUR_MS);
+}
+
+function serializeMetricValue(metric, value) {
+  if (value === null) return null;
+  return metric.unit === 'duration' ? toHours(value) : roundTo2(value);
+}
+
+function serializePullRequestMetrics(prMetrics) {
+  if (!prMetrics) return null;
+
+  const summary = prMetrics.getSummary();
+  return {
+    authoredPRs: summary.authoredPRs,
+    mergedPRs: summary.mergedPRs,
+    reviewsGiven: summary.reviewsGiven,
+    metrics: Object.fromEntries(PR_METRICS.map(metric => [metric.key, {
+      median: serializeMetricValue(metric, summary[metric.key].median),
+      unit: metric.unit === 'duration' ? 'hours' : 'count',
+      samples: summary[metric.key].samples
+    }])),
+    pullRequests: prMetrics.pullRequests.map(pr => ({
+      title: pr.title,
+      url: pr.url,
+      repoName: pr.repoName,
+      createdAt: serializeDate(pr.createdAt),
+      firstReviewAt: serializeDate(pr.firstReviewAt),
+      mergedAt: serializeDate(pr.mergedAt),
+      timeToFirstReviewHours: toHours(pr.timeToFirstReview),
+      timeToMergeHours: toHours(pr.timeToMerge),
+      reviewRounds: pr.reviewRounds,
+      additions: pr.additions,
+      deletions: pr.deletions,
+      changedFiles: pr.changedFiles
+    })),
+    reviews: prMetrics.reviews.map(review => ({
+      title: review.title,
+      url: review.url,
+      repoName: review.repoName,
+      requestedAt: serializeDate(review.requestedAt),
+      reviewedAt: serializeDate(review.reviewedAt),
+      latencyHours: toHours(review.latency)
+    })),
+    outliers: prMetrics.getOutliers().map(({ metric, item, value }) => ({
+      metric: metric.key,
+      value: serializeMetricValue(metric, value),
+      url: item.url
+    }))
+  };
+}
+
+function serializeAttentionItems(items) {
+  if (!items) return null;
+
+  return items.map(item => ({
+    reason: item.reason,
+    title: item.title,
+    url: item.url,
+    repoName: item.repoName,
+    waitingSince: serializeDate(item.waitingSince),
+    waitingHours: toHours(item.waitingFor),
+    detail: item.detail,
+    // Team reports say who each item waits on
+    ...(item.waitingOn ? { waitingOn: item.waitingOn } : {})
+  }));
+}
+
+function serializeTrend(trend) {
+  if (!trend) return null;
+
+  return {
+    previousGeneratedAt: serializeDate(trend.previousGeneratedAt),
+    previousWindow: trend.previousWindow,
+    sampleCount: trend.sampleCount,
+    metrics: Object.fromEntries(trend.metrics.map(({ key, current, previous, average }) => [key, {
+      current,
+      previous,
+      delta: previous === null ? null : current - previous,
+      average: roundTo2(average)
+    }]))
+  };
+}
+
+function serializeProject(project, window) {
+  return {
+    name: project.name,
+    owner: project.owner,
+    fullName: project.fullName,
+    description: project.description,
+    url: project.url,
+    language: project.language || null,
+    active: project.hasActivityWithin(window),
+    activities: project.getActivitiesWithin(window).map(serializeActivity),
+    lastPR: serializePullRequest(project.lastPR),
+    codeChanges: serializeCodeChanges(project.codeChanges)
+  };
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    context: error.context ?? null,
+    timestamp: error.timestamp ?? null
+  };
+}
+
+function serializeWindow(window) {
+  return {
+    start: serializeDate(window.start),
+    end: serializeDate(window.end),
+    label: window.label,
+    description: window.getRangeDescription(),
+    timeZone: window.timeZone
+  };
+}
+
+export function serializeReport(report) {
+  const { window } = report;
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    kind: 'user',
+    username: report.username,
+    generatedAt: serializeDate(report.generatedAt),
+    window: serializeWindow(window),
+    attention: serializeAttentionItems(report.attentionItems),
+    summary: report.getExecutiveSummary(),
+    trend: serializeTrend(report.trend),
+    activities: report.getAllActivities().map(serializeActivity),
+    projects: report.projects.map(project => serializeProject(project, window)),
+    prMetrics: serializePullRequestMetrics(report.prMetrics),
+    errors: report.errors.map(serializeError)
+  };
+}
+
+export function serializeTeamReport(teamReport) {
+  const { window } = teamReport;
+  const { members: totalsByMember, ...summary } = teamReport.getTeamSummary();
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    kind: 'team',
+    generatedAt: serializeDate(teamReport.generatedAt),
+    window: serializeWindow(window),
+    attention: serializeAttentionItems(teamReport.getAttentionItems()),
+    summary,
+    totalsByMember,
+    prMetrics: serializePullRequestMetrics(teamReport.getPullRequestMetrics()),
+    members: teamReport.members.map(member => ({
+      username: member.username,
+      attention: serializeAttentionItems(member.attentionItems),
+      summary: member.getExecutiveSummary(),
+      trend: serializeTrend(member.trend),
+      activities: member.getAllActivities().map(serializeActivity),
+      projects: member.projects.map(project => serializeProject(project, window)),
+      prMetrics: serializePullRequestMetrics(member.prMetrics)
+    })),
+    errors: teamReport.errors.map(serializeError)
+  };
+}
+
+// Rebuilds a GitHubReport from serializeReport output, e.g. a history
+// snapshot. Fields added in later schema versions are left empty.
+export function deserializeReport(data) {
+  const window = new ReportWindow(data.window.start, data.window.end, data.window.label, data.window.timeZone);
+  const report = new GitHubReport(data.username, window);
+  report.generatedAt = new Date(data.generatedAt);
+  report.setTotalRepos(data.summary.totalRepos);
+  report.setFilteredOutRepos(data.summary.filteredOutRepos ?? 0);
+
+  data.projects.forEach(entry => {
+    const lastPR = entry.lastPR
+      ? new PullRequest(entry.lastPR.title, entry.lastPR.url, entry.lastPR.author, entry.lastPR.date, entry.lastPR.state)
+      : null;
+    const project = new ProjectSummary(entry.name, entry.description, entry.url, entry.language, lastPR, entry.owner);
+    entry.activities.forEach(activity => {
+      project.addActivity(new Activity(activity.type, activity.title, activity.url, activity.date, activity.repoName));
+    });
+    if (entry.codeChanges) {
+      project.codeChanges = new CodeChanges(entry.codeChanges.commits.map(commit => new Commit(
+        commit.sha,
+        commit.title,
+        commit.url,
+        commit.date,
+        commit.additions,
+        commit.deletions,
+        commit.files || []
+      )));
+    }
+    report.addProject(project);
+  });
+
+  if (data.prMetrics) {
+    report.setPullRequestMetrics(new PullRequestMetrics(
+      data.prMetrics.pullRequests.map(pr => new PullRequestLifecycle(pr)),
+      data.prMetrics.reviews.map(review => new ReviewTurnaround(review))
+    ));
+  }
+  if (data.attention) {
+    report.setAttentionItems(data.attention.map(item => new AttentionItem(item)));
+  }
+  if (data.trend) {
+    report.setTrend(new SummaryTrend({
+      ...data.trend,
+      metrics: Object.entries(data.trend.metrics).map(([key, metric]) => ({ key, ...metric }))
+    }));
+  }
+  (data.errors || []).forEach(error => report.addError(error));
+
+  return report;
+}
+
+export function generateJsonReport(report) {
+  return JSON.stringify(serializeReport(report), null, 2) + '\n';
+}
+
+export function generateTeamJsonReport(teamReport) {
+  return JSON.stringify(serializeTeamReport(teamReport), null, 2) + '\n';
+}
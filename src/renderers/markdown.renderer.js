@@ -0,0 +1,14 @@
+import {
+  defaultTemplate,
+  defaultTeamTemplate,
+  buildTemplateContext,
+  buildTeamTemplateContext
+} from '../templates/index.js';
+
+export function generateMarkdownReport(report, { template = defaultTemplate } = {}) {
+  return template.render(buildTemplateContext(report));
+}
+
+export function generateTeamMarkdownReport(teamReport, { template = defaultTeamTemplate } = {}) {
+  return template.render(buildTeamTemplateContext(teamReport));
+}
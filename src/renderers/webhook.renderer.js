@@ -0,0 +1,178 @@
+import { formatZonedDateTime } from '../utils/timezone.js';
+import { ACTIVITY_TYPES } from '../models/activity-types.js';
+
+export const WEBHOOK_FORMATS = ['slack', 'teams'];
+
+// Activities listed before the rest are summed up as "…and N more"
+const MAX_ACTIVITIES = 15;
+const MAX_TITLE_LENGTH = 120;
+
+// Slack: 50 blocks, 3000 characters per section, 150 per header and 10 fields
+// per section. Teams: 28 KB per card; leave room for the envelope.
+const SLACK_LIMITS = { maxBytes: 40000, sectionText: 3000, headerText: 150, fields: 10 };
+const TEAMS_LIMITS = { maxBytes: 27000 };
+
+// Teams incoming webhooks and workflow triggers live on Microsoft hosts;
+// everything else, local test endpoints included, gets Slack messages
+export function detectWebhookFormat(url) {
+  const { hostname } = new URL(url);
+  return /(^|\.)(office\.com|office365\.com|logic\.azure\.com|powerautomate\.com)$/.test(hostname) ? 'teams' : 'slack';
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function byteLength(payload) {
+  return Buffer.byteLength(JSON.stringify(payload));
+}
+
+// The parts of a report both formats show: the summary counters and the
+// newest activities
+function toDigest(report, { isTeam }) {
+  const { window } = report;
+  const summary = isTeam ? report.getTeamSummary() : report.getExecutiveSummary();
+  const activities = isTeam
+    ? report.getAllActivities()
+    : report.getAllActivities().map(activity => ({ username: null, activity }));
+
+  const facts = [
+    ...(isTeam ? [{ label: 'Members', value: summary.members.map(member => member.username).join(', ') }] : []),
+    { label: 'Total Activities', value: String(summary.totalActivities) },
+    { label: 'Active Repositories', value: `${summary.activeRepos} of ${summary.totalRepos}` },
+    ...ACTIVITY_TYPES
+      .filter(({ summaryKey }) => summary[summaryKey] > 0)
+      .map(({ summaryKey, summaryLabel }) => ({ label: summaryLabel, value: String(summary[summaryKey]) }))
+  ];
+  if (summary.commits > 0) {
+    facts.push({ label: 'Code Changes', value: `${summary.commits} commits, +${summary.linesAdded} / -${summary.linesDeleted}` });
+  }
+  const attentionItems = isTeam ? report.getAttentionItems() : report.attentionItems;
+  if (attentionItems?.length > 0) {
+    facts.push({ label: 'Needs Attention', value: String(attentionItems.length) });
+  }
+  if (summary.hasErrors) {
+    facts.push({ label: 'Errors', value: String(summary.errorCount) });
+  }
+
+  return {
+    title: isTeam ? 'GitHub Team Activity Report' : `GitHub Activity Report – ${report.username}`,
+    subtitle: `${window.getTitle()} (${window.getRangeDescription()}) · generated ${formatZonedDateTime(report.generatedAt, window.timeZone)}`,
+    heading: window.getActivitiesHeading(),
+    facts,
+    activities: activities.map(({ username, activity }) => ({
+      title: truncate(activity.title, MAX_TITLE_LENGTH),
+      url: activity.url,
+      meta: [username, activity.getTypeDisplay(), activity.repoName].filter(Boolean).join(' · ')
+    }))
+  };
+}
+
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function buildSlackMessage(digest, activityCount, { reportUrl, reportFile }) {
+  const shown = digest.activities.slice(0, activityCount);
+  const hidden = digest.activities.length - shown.length;
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: truncate(digest.title, SLACK_LIMITS.headerText) } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(digest.subtitle) }] }
+  ];
+  for (let i = 0; i < digest.facts.length; i += SLACK_LIMITS.fields) {
+    blocks.push({
+      type: 'section',
+      fields: digest.facts.slice(i, i + SLACK_LIMITS.fields).map(fact => ({
+        type: 'mrkdwn',
+        text: `*${escapeSlack(fact.label)}*\n${escapeSlack(fact.value)}`
+      }))
+    });
+  }
+
+  if (shown.length > 0) {
+    blocks.push({ type: 'divider' });
+    // Lines are packed into as few sections as the per-section limit allows
+    let text = `*${escapeSlack(digest.heading)}*`;
+    shown.forEach(activity => {
+      const line = `\n• <${activity.url}|${escapeSlack(activity.title)}> – ${escapeSlack(activity.meta)}`;
+      if (text.length + line.length > SLACK_LIMITS.sectionText) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text } });
+        text = '';
+      }
+      text += line;
+    });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: text.trim() } });
+  }
+  if (hidden > 0) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${hidden} more in the full report` }] });
+  }
+
+  if (reportUrl) {
+    blocks.push({
+      type: 'actions',
+      elements: [{ type: 'button', text: { type: 'plain_text', text: 'View full report' }, url: reportUrl }]
+    });
+  } else if (reportFile) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `Full report: \`${escapeSlack(reportFile)}\`` }] });
+  }
+
+  // text is the notification and fallback for clients without blocks
+  return { text: `${digest.title}: ${digest.subtitle}`, blocks };
+}
+
+function buildTeamsMessage(digest, activityCount, { reportUrl, reportFile }) {
+  const shown = digest.activities.slice(0, activityCount);
+  const hidden = digest.activities.length - shown.length;
+  const body = [
+    { type: 'TextBlock', text: digest.title, size: 'Large', weight: 'Bolder', wrap: true },
+    { type: 'TextBlock', text: digest.subtitle, isSubtle: true, spacing: 'None', wrap: true },
+    { type: 'FactSet', facts: digest.facts.map(fact => ({ title: fact.label, value: fact.value })) }
+  ];
+
+  if (shown.length > 0) {
+    body.push({ type: 'TextBlock', text: digest.heading, weight: 'Bolder', separator: true, wrap: true });
+    shown.forEach(activity => {
+      body.push({ type: 'TextBlock', text: `[${activity.title.replace(/[[\]]/g, '')}](${activity.url}) – ${activity.meta}`, spacing: 'Small', wrap: true });
+    });
+  }
+  if (hidden > 0) {
+    body.push({ type: 'TextBlock', text: `…and ${hidden} more in the full report`, isSubtle: true, wrap: true });
+  }
+  if (!reportUrl && reportFile) {
+    body.push({ type: 'TextBlock', text: `Full report: ${reportFile}`, isSubtle: true, wrap: true });
+  }
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body,
+        actions: reportUrl ? [{ type: 'Action.OpenUrl', title: 'View full report', url: reportUrl }] : []
+      }
+    }]
+  };
+}
+
+const BUILDERS = {
+  slack: { build: buildSlackMessage, limits: SLACK_LIMITS },
+  teams: { build: buildTeamsMessage, limits: TEAMS_LIMITS }
+};
+
+// A condensed report for a chat webhook. Activities are dropped from the end
+// until the message fits the service's size limit.
+export function buildWebhookPayload(report, { format, isTeam = false, reportUrl = null, reportFile = null }) {
+  const { build, limits } = BUILDERS[format];
+  const digest = toDigest(report, { isTeam });
+
+  let activityCount = Math.min(MAX_ACTIVITIES, digest.activities.length);
+  let payload = build(digest, activityCount, { reportUrl, reportFile });
+  while (byteLength(payload) > limits.maxBytes && activityCount > 0) {
+    activityCount--;
+    payload = build(digest, activityCount, { reportUrl, reportFile });
+  }
+  return payload;
+}
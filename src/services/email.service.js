@@ -0,0 +1,43 @@
+import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+
+export const SMTP_TLS_MODES = ['starttls', 'implicit', 'none'];
+
+// Submission port for STARTTLS, SMTPS for implicit TLS, plain SMTP otherwise
+const DEFAULT_PORTS = { starttls: 587, implicit: 465, none: 25 };
+
+// Sends reports over SMTP. starttls refuses to continue without upgrading the
+// connection; none never tries, which is what local test sinks expect.
+export class EmailService {
+  constructor({ host, port = null, tls = 'starttls', user = null, password = null }) {
+    this.host = host;
+    this.port = port || DEFAULT_PORTS[tls];
+    this.transport = nodemailer.createTransport({
+      host,
+      port: this.port,
+      secure: tls === 'implicit',
+      requireTLS: tls === 'starttls',
+      ignoreTLS: tls === 'none',
+      auth: user ? { user, pass: password || '' } : undefined
+    });
+  }
+
+  // Resolves to { target, format, delivered, attempts, error } like webhook deliveries
+  async deliver(message) {
+    const target = `${message.to.length} ${message.to.length === 1 ? 'recipient' : 'recipients'} via ${this.host}:${this.port}`;
+
+    try {
+      const { rejected = [] } = await this.transport.sendMail(message);
+      if (rejected.length > 0) {
+        throw new Error(`Rejected recipients: ${rejected.join(', ')}`);
+      }
+      logger.success(`Report emailed to ${message.to.join(', ')}`);
+      return { target, format: 'email', delivered: true, attempts: 1, error: null };
+    } catch (error) {
+      logger.error(`Failed to email the report via ${this.host}:${this.port}`, error.message);
+      return { target, format: 'email', delivered: false, attempts: 1, error: error.message };
+    } finally {
+      this.transport.close();
+    }
+  }
+}
@@ -0,0 +1,460 @@
+import logger from '../utils/logger.js';
+import { GitHubService, toSearchDate } from './github.service.js';
+import { PullRequest, Activity, ProjectSummary } from '../models/report.model.js';
+
+const PAGE_SIZE = 100;
+const MAX_COMMENT_PAGES = 10;
+// Search never returns more results than this, however many pages are read
+const MAX_SEARCH_RESULTS = 1000;
+
+// contributionsCollection refuses ranges longer than a year
+const MAX_CONTRIBUTION_SPAN_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Every query asks what it cost, which feeds the cost report
+const RATE_LIMIT_FIELDS = 'rateLimit { cost remaining limit resetAt }';
+
+// Everything the repository filters read, plus the latest pull request that
+// the REST backend needs a request per repository for
+const REPOSITORY_FIELDS = `
+  fragment RepositoryFields on Repository {
+    name
+    nameWithOwner
+    owner { login }
+    description
+    url
+    primaryLanguage { name }
+    isPrivate
+    visibility
+    isFork
+    isArchived
+    pushedAt
+    updatedAt
+    repositoryTopics(first: 20) { nodes { topic { name } } }
+    pullRequests(first: 1, orderBy: { field: UPDATED_AT, direction: DESC }) {
+      nodes { title url author { login } updatedAt state }
+    }
+  }`;
+
+const REPOSITORY_CONNECTION = `
+  pageInfo { hasNextPage endCursor }
+  nodes { ...RepositoryFields }`;
+
+const USER_REPOSITORIES_QUERY = `
+  query ($login: String!, $after: String) {
+    user(login: $login) {
+      repositories(first: ${PAGE_SIZE}, after: $after, ownerAffiliations: [OWNER, COLLABORATOR], orderBy: { field: UPDATED_AT, direction: DESC }) {
+        ${REPOSITORY_CONNECTION}
+      }
+    }
+    ${RATE_LIMIT_FIELDS}
+  }
+  ${REPOSITORY_FIELDS}`;
+
+const ORG_REPOSITORIES_QUERY = `
+  query ($login: String!, $after: String) {
+    organization(login: $login) {
+      repositories(first: ${PAGE_SIZE}, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        ${REPOSITORY_CONNECTION}
+      }
+    }
+    ${RATE_LIMIT_FIELDS}
+  }
+  ${REPOSITORY_FIELDS}`;
+
+const TEAM_REPOSITORIES_QUERY = `
+  query ($login: String!, $slug: String!, $after: String) {
+    organization(login: $login) {
+      team(slug: $slug) {
+        repositories(first: ${PAGE_SIZE}, after: $after) {
+          ${REPOSITORY_CONNECTION}
+        }
+      }
+    }
+    ${RATE_LIMIT_FIELDS}
+  }
+  ${REPOSITORY_FIELDS}`;
+
+// The paginated kinds of contribution. Each page of the contributions query
+// only asks for the kinds that still have pages left.
+const CONTRIBUTION_CONNECTIONS = [
+  {
+    field: 'pullRequestContributions',
+    flag: 'withPullRequests',
+    cursor: 'pullRequestsAfter',
+    nodes: 'occurredAt pullRequest { title url repository { nameWithOwner } }',
+    toActivities: ({ occurredAt, pullRequest }) => [
+      new Activity('pr_created', pullRequest.title, pullRequest.url, occurredAt, pullRequest.repository.nameWithOwner)
+    ]
+  },
+  {
+    field: 'issueContributions',
+    flag: 'withIssues',
+    cursor: 'issuesAfter',
+    nodes: 'occurredAt issue { title url repository { nameWithOwner } }',
+    toActivities: ({ occurredAt, issue }) => [
+      new Activity('issue_opened', issue.title, issue.url, occurredAt, issue.repository.nameWithOwner)
+    ]
+  },
+  {
+    field: 'pullRequestReviewContributions',
+    flag: 'withReviews',
+    cursor: 'reviewsAfter',
+    nodes: 'occurredAt pullRequestReview { url } pullRequest { title } repository { nameWithOwner }',
+    toActivities: ({ occurredAt, pullRequestReview, pullRequest, repository }) => [
+      new Activity('pr_reviewed', `Review: ${pullRequest.title}`, pullRequestReview.url, occurredAt, repository.nameWithOwner)
+    ]
+  }
+];
+
+const CONTRIBUTIONS_QUERY = `
+  query ($login: String!, $from: DateTime!, $to: DateTime!, $withCommits: Boolean!, ${CONTRIBUTION_CONNECTIONS.map(({ flag, cursor }) => `$${flag}: Boolean!, $${cursor}: String`).join(', ')}) {
+    user(login: $login) {
+      contributionsCollection(from: $from, to: $to) {
+        ${CONTRIBUTION_CONNECTIONS.map(({ field, flag, cursor, nodes }) => `
+        ${field}(first: ${PAGE_SIZE}, after: $${cursor}) @include(if: $${flag}) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${nodes} }
+        }`).join('')}
+        commitContributionsByRepository(maxRepositories: ${PAGE_SIZE}) @include(if: $withCommits) {
+          repository { nameWithOwner url }
+          contributions(first: ${PAGE_SIZE}) {
+            pageInfo { hasNextPage }
+            nodes { occurredAt commitCount }
+          }
+        }
+      }
+    }
+    ${RATE_LIMIT_FIELDS}
+  }`;
+
+// Comments are not contributions, so they come from the user's comment
+// history, oldest first; it is read backwards from the newest
+const ISSUE_COMMENTS_QUERY = `
+  query ($login: String!, $before: String) {
+    user(login: $login) {
+      issueComments(last: ${PAGE_SIZE}, before: $before) {
+        pageInfo { hasPreviousPage startCursor }
+        nodes { createdAt url issue { title } pullRequest { title } repository { nameWithOwner } }
+      }
+    }
+    ${RATE_LIMIT_FIELDS}
+  }`;
+
+// A merge is not a contribution of its own, so pull requests opened before the
+// window but merged in it are found by searching for the merge date
+const MERGED_PULL_REQUESTS_QUERY = `
+  query ($search: String!, $after: String) {
+    search(type: ISSUE, query: $search, first: ${PAGE_SIZE}, after: $after) {
+      issueCount
+      pageInfo { hasNextPage endCursor }
+      nodes { ... on PullRequest { title url mergedAt mergedBy { login } repository { nameWithOwner } } }
+    }
+    ${RATE_LIMIT_FIELDS}
+  }`;
+
+function toPullRequest(node) {
+  // Deleted accounts leave pull requests without an author
+  const author = node.author?.login || 'ghost';
+  // REST reports merged pull requests as closed
+  const state = node.state === 'MERGED' ? 'closed' : node.state.toLowerCase();
+  return new PullRequest(node.title, node.url, author, node.updatedAt, state);
+}
+
+function splitIntoYears(start, end) {
+  const spans = [];
+  for (let from = start; from < end;) {
+    const to = new Date(Math.min(end.getTime(), from.getTime() + MAX_CONTRIBUTION_SPAN_MS));
+    spans.push({ from, to });
+    from = to;
+  }
+  return spans;
+}
+
+// Fetches repositories, their latest pull requests and the user's activity in
+// batched GraphQL queries instead of a REST request per repository. Everything
+// else comes from the REST API as before. The events feed has no GraphQL
+// counterpart, so activity is rebuilt from contributions, comments and a search
+// for merges: pushes become commit counts per day, only the user's own pull
+// requests can show up as merged, and branches, tags, releases, wiki edits,
+// review comments and closed issues or pull requests are not reported.
+export class GitHubGraphQLService extends GitHubService {
+  constructor(token, options = {}) {
+    super(token, options);
+    this.latestPullRequests = new Map();
+    this.graphqlCosts = new Map();
+    this.graphqlRateLimit = null;
+  }
+
+  // Partial results come with errors for the parts GitHub would not resolve,
+  // e.g. a user that does not exist; those are reported and the rest is kept
+  async query(kind, label, query, variables) {
+    let data;
+    try {
+      data = await this.withRetry(label, () => this.octokit.graphql(query, variables));
+    } catch (error) {
+      if (error.name !== 'GraphqlResponseError' || !error.data) throw error;
+      error.errors.forEach(({ message }) => logger.warning(`${label}: ${message}`));
+      data = error.data;
+    }
+
+    this.recordCost(kind, data.rateLimit);
+    logger.debug(`GraphQL ${kind} query cost ${data.rateLimit?.cost ?? 'unknown'} points`, { kind, cost: data.rateLimit?.cost ?? null });
+    return data;
+  }
+
+  // Servers with rate limiting turned off report no cost
+  recordCost(kind, rateLimit) {
+    const cost = this.graphqlCosts.get(kind) || { queries: 0, points: 0 };
+    cost.queries++;
+    cost.points += rateLimit?.cost ?? 0;
+    this.graphqlCosts.set(kind, cost);
+    if (rateLimit) {
+      this.graphqlRateLimit = rateLimit;
+    }
+  }
+
+  getApiUsage() {
+    const costs = [...this.graphqlCosts.entries()].map(([kind, cost]) => ({ kind, ...cost }));
+    const rateLimit = this.graphqlRateLimit;
+    return {
+      ...super.getApiUsage(),
+      graphql: {
+        queries: costs.reduce((sum, cost) => sum + cost.queries, 0),
+        points: costs.reduce((sum, cost) => sum + cost.points, 0),
+        costs,
+        rateLimit: rateLimit
+          ? { remaining: rateLimit.remaining, limit: rateLimit.limit, reset: new Date(rateLimit.resetAt) }
+          : null
+      }
+    };
+  }
+
+  async listRepositories(label, query, variables, getConnection) {
+    const repos = [];
+    let after = null;
+
+    for (let page = 1; ; page++) {
+      const data = await this.query('repositories', `Fetching page ${page} of ${label}`, query, { ...variables, after });
+      const connection = getConnection(data);
+      if (!connection) {
+        throw new Error(`Could not find ${label}`);
+      }
+
+      repos.push(...connection.nodes.filter(Boolean).map(node => this.toRepository(node)));
+      if (!connection.pageInfo.hasNextPage) break;
+      after = connection.pageInfo.endCursor;
+    }
+
+    return repos;
+  }
+
+  // Shapes a repository like the REST listings so the filters and the rest of
+  // the report work unchanged, and keeps its latest pull request for later
+  toRepository(node) {
+    const repo = {
+      name: node.name,
+      full_name: node.nameWithOwner,
+      owner: { login: node.owner.login },
+      description: node.description,
+      html_url: node.url,
+      language: node.primaryLanguage?.name || null,
+      private: node.isPrivate,
+      visibility: node.visibility?.toLowerCase(),
+      fork: node.isFork,
+      archived: node.isArchived,
+      pushed_at: node.pushedAt,
+      updated_at: node.updatedAt,
+      topics: node.repositoryTopics.nodes.map(({ topic }) => topic.name)
+    };
+
+    const [pullRequest] = node.pullRequests.nodes;
+    this.latestPullRequests.set(repo.full_name, pullRequest ? toPullRequest(pullRequest) : null);
+    return repo;
+  }
+
+  async getUserRepos(username) {
+    try {
+      logger.info(`Fetching repositories for user: ${username}`);
+
+      const repos = await this.listRepositories(`repositories for ${username}`, USER_REPOSITORIES_QUERY, { login: username }, data => data.user?.repositories);
+
+      logger.success(`Found ${repos.length} repositories`);
+      return repos;
+    } catch (error) {
+      logger.error('Failed to fetch repositories', error.message);
+      throw error;
+    }
+  }
+
+  async getOrgRepos(org) {
+    try {
+      logger.info(`Fetching repositories for organization: ${org}`);
+
+      const repos = await this.listRepositories(`repositories for ${org}`, ORG_REPOSITORIES_QUERY, { login: org }, data => data.organization?.repositories);
+
+      logger.success(`Found ${repos.length} repositories in ${org}`);
+      return repos;
+    } catch (error) {
+      logger.error(`Failed to fetch repositories for organization: ${org}`, error.message);
+      throw error;
+    }
+  }
+
+  async getTeamRepos(org, teamSlug) {
+    try {
+      logger.info(`Fetching repositories for team: ${org}/${teamSlug}`);
+
+      const repos = await this.listRepositories(`repositories for team ${org}/${teamSlug}`, TEAM_REPOSITORIES_QUERY, { login: org, slug: teamSlug }, data => data.organization?.team?.repositories);
+
+      logger.success(`Found ${repos.length} repositories for team ${org}/${teamSlug}`);
+      return repos;
+    } catch (error) {
+      logger.error(`Failed to fetch repositories for team: ${org}/${teamSlug}`, error.message);
+      throw error;
+    }
+  }
+
+  // Repositories that did not come from a listing above fall back to REST
+  async getRepoDetails(repo) {
+    if (!this.latestPullRequests.has(repo.full_name)) {
+      return super.getRepoDetails(repo);
+    }
+
+    return new ProjectSummary(
+      repo.name,
+      repo.description,
+      repo.html_url,
+      repo.language,
+      this.latestPullRequests.get(repo.full_name),
+      repo.owner.login
+    );
+  }
+
+  async getUserActivity(username, window) {
+    try {
+      logger.info(`Fetching user contributions for ${window.label}...`);
+
+      const activities = [];
+      for (const { from, to } of splitIntoYears(window.start, window.end)) {
+        activities.push(...await this.getContributions(username, from, to));
+      }
+      activities.push(...await this.getMergedPullRequests(username, window));
+      activities.push(...await this.getIssueComments(username, window));
+
+      const windowActivities = activities.filter(activity => window.contains(activity.date));
+      logger.success(`Found ${windowActivities.length} activities for ${window.label}`);
+      return windowActivities;
+    } catch (error) {
+      logger.error('Failed to fetch user activity', error.message);
+      return [];
+    }
+  }
+
+  // Commits only count towards contributions on default branches and are
+  // only known per day, so each day becomes one activity per repository
+  async getContributions(username, from, to) {
+    const activities = [];
+    const cursors = new Map(CONTRIBUTION_CONNECTIONS.map(connection => [connection, null]));
+
+    for (let page = 1; cursors.size > 0; page++) {
+      const variables = { login: username, from: from.toISOString(), to: to.toISOString(), withCommits: page === 1 };
+      CONTRIBUTION_CONNECTIONS.forEach(connection => {
+        variables[connection.flag] = cursors.has(connection);
+        variables[connection.cursor] = cursors.get(connection) ?? null;
+      });
+
+      const data = await this.query('contributions', `Fetching page ${page} of contributions for ${username}`, CONTRIBUTIONS_QUERY, variables);
+      const collection = data.user?.contributionsCollection;
+      if (!collection) {
+        throw new Error(`Could not find contributions for ${username}`);
+      }
+
+      for (const connection of [...cursors.keys()]) {
+        const { nodes, pageInfo } = collection[connection.field];
+        nodes.forEach(node => activities.push(...connection.toActivities(node)));
+        if (pageInfo.hasNextPage) {
+          cursors.set(connection, pageInfo.endCursor);
+        } else {
+          cursors.delete(connection);
+        }
+      }
+
+      (collection.commitContributionsByRepository || []).forEach(({ repository, contributions }) => {
+        if (contributions.pageInfo.hasNextPage) {
+          logger.warning(`${username} committed to ${repository.nameWithOwner} on more than ${PAGE_SIZE} days, only the first ${PAGE_SIZE} are included`);
+        }
+        contributions.nodes.forEach(({ occurredAt, commitCount }) => {
+          activities.push(new Activity(
+            'pushed',
+            `Pushed ${commitCount} commit${commitCount === 1 ? '' : 's'} to the default branch`,
+            `${repository.url}/commits?author=${encodeURIComponent(username)}`,
+            occurredAt,
+            repository.nameWithOwner
+          ));
+        });
+      });
+    }
+
+    return activities;
+  }
+
+  // The search finds the user's pull requests merged in the window; as in the
+  // events feed, a merge counts when the user merged it themselves. Search
+  // dates are inclusive, so merges right at the end are dropped by the caller.
+  async getMergedPullRequests(username, window) {
+    const activities = [];
+    const search = `is:pr author:${username} merged:${toSearchDate(window.start)}..${toSearchDate(window.end)}`;
+    let after = null;
+
+    for (let page = 1; ; page++) {
+      const data = await this.query('merges', `Fetching page ${page} of merged pull requests for ${username}`, MERGED_PULL_REQUESTS_QUERY, { search, after });
+      const { issueCount, nodes, pageInfo } = data.search;
+      if (page === 1 && issueCount > MAX_SEARCH_RESULTS) {
+        logger.warning(`${username} has ${issueCount} pull requests merged in ${window.label}, only the first ${MAX_SEARCH_RESULTS} are included`);
+      }
+
+      nodes
+        .filter(node => node.mergedAt && node.mergedBy?.login.toLowerCase() === username.toLowerCase())
+        .forEach(({ title, url, mergedAt, repository }) => {
+          activities.push(new Activity('pr_merged', title, url, mergedAt, repository.nameWithOwner));
+        });
+
+      if (!pageInfo.hasNextPage) break;
+      after = pageInfo.endCursor;
+    }
+
+    return activities;
+  }
+
+  async getIssueComments(username, window) {
+    const activities = [];
+    let before = null;
+
+    for (let page = 1; page <= MAX_COMMENT_PAGES; page++) {
+      const data = await this.query('comments', `Fetching page ${page} of comments for ${username}`, ISSUE_COMMENTS_QUERY, { login: username, before });
+      const comments = data.user?.issueComments;
+      if (!comments) {
+        throw new Error(`Could not find comments for ${username}`);
+      }
+
+      comments.nodes.forEach(({ createdAt, url, issue, pullRequest, repository }) => {
+        activities.push(new Activity(
+          pullRequest ? 'pr_commented' : 'issue_commented',
+          `Comment on: ${(pullRequest || issue).title}`,
+          url,
+          createdAt,
+          repository.nameWithOwner
+        ));
+      });
+
+      const [oldest] = comments.nodes;
+      if (!comments.pageInfo.hasPreviousPage || !oldest || new Date(oldest.createdAt) < window.start) break;
+      if (page === MAX_COMMENT_PAGES) {
+        logger.warning(`Only the newest ${MAX_COMMENT_PAGES * PAGE_SIZE} comments by ${username} were searched, earlier comments in the window are not included`);
+      }
+      before = comments.pageInfo.startCursor;
+    }
+
+    return activities;
+  }
+}
@@ -1,70 +1,415 @@
 import { Octokit } from '@octokit/rest';
 import logger from '../utils/logger.js';
+import { withRetry, isRetryableError } from '../utils/retry.js';
+import { RateLimiter, getRateLimitResource } from './rate-limiter.js';
+import { MissingRecordingError } from './recording.js';
 import { PullRequest, Activity, ProjectSummary } from '../models/report.model.js';
+import { Commit, CodeChanges } from '../models/code-changes.model.js';
+import { PullRequestLifecycle, ReviewTurnaround, PullRequestMetrics } from '../models/pr-metrics.model.js';
+import { AttentionItem } from '../models/attention.model.js';
+import { now } from '../utils/clock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The events feed returns at most 300 events from the last 90 days
+const EVENTS_PER_PAGE = 100;
+const MAX_EVENT_PAGES = 3;
+const EVENTS_RETENTION_DAYS = 90;
+// Search returns at most 1000 results per query
+const SEARCH_PER_PAGE = 100;
+const MAX_SEARCH_PAGES = 10;
+const FAILING_CHECK_CONCLUSIONS = ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure'];
+const FAILING_STATUS_STATES = ['failure', 'error'];
+
+export const DEFAULT_API_URL = 'https://api.github.com';
+
+// Endpoints GitHub Enterprise Server can lack, depending on its version and
+// configuration, and what the report does without them. They are only called
+// for things known to exist, so there a 404 means the endpoint is missing.
+const OPTIONAL_ENDPOINTS = {
+  '/repos/{owner}/{repo}/issues/{issue_number}/timeline': {
+    feature: 'issue timelines',
+    impact: 'reviews are read from the reviews API, and review requests and review turnaround are left out'
+  },
+  '/repos/{owner}/{repo}/commits/{ref}/check-runs': {
+    feature: 'check runs',
+    impact: 'failing checks only include commit statuses'
+  },
+  '/repos/{owner}/{repo}/commits/{ref}/status': {
+    feature: 'commit statuses',
+    impact: 'failing checks only include check runs'
+  },
+  '/rate_limit': {
+    feature: 'the rate limit API',
+    impact: 'rate limiting is probably disabled, so requests are not paced'
+  }
+};
+// What servers answer for any endpoint or media type they don't implement
+const UNSUPPORTED_STATUSES = [415, 501];
+
+export class UnsupportedEndpointError extends Error {
+  constructor({ server, method, route, status, feature = `${method} ${route}`, impact = null }) {
+    super(`${server} does not support ${feature} (HTTP ${status})${impact ? `; ${impact}` : ''}`);
+    this.name = 'UnsupportedEndpointError';
+    this.status = status;
+    this.route = route;
+    this.feature = feature;
+    this.impact = impact;
+  }
+}
+
+// https://api.github.com -> https://github.com,
+// https://github.example.com/api/v3 -> https://github.example.com
+export function toWebUrl(apiUrl) {
+  const url = new URL(apiUrl);
+  const path = url.pathname.replace(/\/+$/, '');
+  if (path.endsWith('/api/v3')) return url.origin + path.slice(0, -'/api/v3'.length);
+  if (url.hostname.startsWith('api.')) return `${url.protocol}//${url.host.slice('api.'.length)}${path}`;
+  return url.origin + path;
+}
+
+const SEARCH_QUERIES = [
+  {
+    qualifiers: 'type:pr author:{user}',
+    dateField: 'created',
+    getType: () => 'pr_created',
+    getTitle: item => item.title
+  },
+  {
+    qualifiers: 'type:pr reviewed-by:{user}',
+    dateField: 'updated',
+    getType: () => 'pr_reviewed',
+    getTitle: item => `Review: ${item.title}`
+  },
+  {
+    qualifiers: 'commenter:{user}',
+    dateField: 'updated',
+    getType: item => (item.pull_request ? 'pr_commented' : 'issue_commented'),
+    getTitle: item => `Comment on: ${item.title}`
+  }
+];
+
+// Search date qualifiers take ISO 8601 timestamps without milliseconds
+export function toSearchDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function parseSearchItem(item) {
+  const fullName = item.repository_url.split('/repos/').pop();
+  const [owner, repo] = fullName.split('/');
+  return { owner, repo, fullName, number: item.number };
+}
+
+function dedupeSearchItems(items) {
+  const byUrl = new Map();
+  items.forEach(item => byUrl.set(item.html_url, item));
+  return [...byUrl.values()];
+}
+
+// Search and the events feed can report the same PR; keep the first of each
+function dedupeActivities(activities) {
+  const seen = new Set();
+  return activities.filter(activity => {
+    const key = `${activity.type} ${activity.url}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
 
 export class GitHubService {
-  constructor(token) {
+  constructor(token, { apiUrl = DEFAULT_API_URL, rateLimitBuffer, cache = null, recorder = null, replayer = null } = {}) {
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    // Events only carry API URLs, so links to repositories are built from this
+    this.webUrl = toWebUrl(this.apiUrl);
+    this.serverVersion = null;
+    this.unsupportedEndpoints = new Map();
     this.octokit = new Octokit({
       auth: token,
+      baseUrl: this.apiUrl
+    });
+    this.rateLimiter = new RateLimiter({ buffer: rateLimitBuffer });
+    this.cache = cache;
+    this.recorder = recorder;
+    this.replayer = replayer;
+    this.apiCalls = 0;
+
+    this.octokit.hook.wrap('request', (request, options) => this.handleRequest(request, options));
+  }
+
+  // Every Octokit request passes through here. Once an endpoint turns out to
+  // be unsupported, later calls to it fail without another request.
+  async handleRequest(request, options) {
+    const unsupported = this.unsupportedEndpoints.get(options.url);
+    if (unsupported) throw unsupported;
+
+    const startedAt = Date.now();
+    try {
+      const response = await this.routeRequest(request, options);
+      this.logRequest(options, response.status, startedAt);
+      return response;
+    } catch (error) {
+      this.logRequest(options, error.status || error.code || error.name, startedAt);
+      throw this.toUnsupportedEndpointError(error, options) || error;
+    }
+  }
+
+  // Cache hits, revalidations and replays show up as 200s that took no time
+  logRequest(options, status, startedAt) {
+    if (!logger.isEnabled('debug')) return;
+    const { method, url } = this.octokit.request.endpoint.parse(options);
+    const durationMs = Date.now() - startedAt;
+    logger.debug(`${method} ${url} → ${status} (${durationMs} ms)`, { method, url, status, durationMs });
+  }
+
+  // github.com has every endpoint, so only other servers get the benefit of
+  // the doubt for a 404
+  toUnsupportedEndpointError(error, options) {
+    const optional = OPTIONAL_ENDPOINTS[options.url];
+    const isMissing = optional && error.status === 404 && this.apiUrl !== DEFAULT_API_URL;
+    if (!UNSUPPORTED_STATUSES.includes(error.status) && !isMissing) return null;
+
+    const unsupported = new UnsupportedEndpointError({
+      server: this.getServerName(),
+      method: options.method,
+      route: options.url,
+      status: error.status,
+      ...optional
+    });
+    this.unsupportedEndpoints.set(options.url, unsupported);
+    logger.warning(unsupported.message);
+    return unsupported;
+  }
+
+  getServerName() {
+    if (this.serverVersion) return `GitHub Enterprise Server ${this.serverVersion}`;
+    return this.apiUrl === DEFAULT_API_URL ? 'GitHub' : `The GitHub server at ${new URL(this.apiUrl).host}`;
+  }
+
+  // A replay serves recorded fixtures without touching the network; a
+  // recording saves each response, error responses included, as it comes back.
+  async routeRequest(request, options) {
+    const { method, url, body = null } = this.octokit.request.endpoint.parse(options);
+
+    if (this.replayer) {
+      return this.replayer.replay(method, url, body);
+    }
+    if (!this.recorder) {
+      return this.cachedRequest(request, options, method, url);
+    }
+
+    try {
+      const response = await this.cachedRequest(request, options, method, url);
+      await this.recorder.record(method, url, body, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        await this.recorder.record(method, url, body, error.response);
+      }
+      throw error;
+    }
+  }
+
+  // GET requests are answered from the cache when possible and revalidated
+  // with conditional headers otherwise
+  async cachedRequest(request, options, method, url) {
+    // The rate limit status must always be live, so it bypasses the cache
+    if (!this.cache || method !== 'GET' || options.url === '/rate_limit') {
+      return this.sendRequest(request, options);
+    }
+
+    const key = this.cache.getKey(method, url);
+    const entry = await this.cache.get(key);
+
+    if (entry && this.cache.isFresh(entry)) {
+      this.cache.stats.hits++;
+      return entry.response;
+    }
+
+    // Octokit's hook chain binds the options object, so the validators must be
+    // added to it in place rather than passed along in a copy
+    if (entry) {
+      Object.assign(options.headers, this.cache.getValidators(entry));
+    }
+
+    try {
+      const response = await this.sendRequest(request, options);
+      this.cache.stats.misses++;
+      await this.cache.set(key, response);
+      return response;
+    } catch (error) {
+      if (entry && error.status === 304) {
+        this.cache.stats.revalidated++;
+        await this.cache.touch(key, entry);
+        return entry.response;
+      }
+      throw error;
+    }
+  }
+
+  // Waits out an exhausted budget, counts the call and records the
+  // rate-limit headers of the response
+  async sendRequest(request, options) {
+    const resource = getRateLimitResource(options.url);
+    // GET /rate_limit is free, so it is neither throttled nor counted
+    const isFree = options.url === '/rate_limit';
+
+    if (!isFree) {
+      await this.rateLimiter.acquire(resource);
+    }
+
+    try {
+      const response = await request(options);
+      this.recordResponse(response, isFree);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        this.recordResponse(error.response, isFree);
+      }
+
+      // The primary limit ran out anyway (e.g. another tool shares the token): wait for the reset and retry once
+      if (!isFree && (error.status === 403 || error.status === 429) && this.rateLimiter.isExhausted(resource)) {
+        await this.rateLimiter.acquire(resource);
+        const response = await request(options);
+        this.recordResponse(response, isFree);
+        return response;
+      }
+      throw error;
+    }
+  }
+
+  recordResponse(response, isFree) {
+    this.updateRateLimit(response.headers);
+    // Conditional requests answered with 304 do not count against the rate limit
+    if (!isFree && response.status !== 304) {
+      this.apiCalls++;
+    }
+  }
+
+  get rateLimitRemaining() {
+    return this.rateLimiter.getStatus('core')?.remaining ?? null;
+  }
+
+  getRateLimitStatus(resource = 'core') {
+    return this.rateLimiter.getStatus(resource);
+  }
+
+  getApiUsage() {
+    return {
+      apiCalls: this.apiCalls,
+      rateLimit: this.getRateLimitStatus(),
+      cache: this.cache ? { ...this.cache.stats } : null,
+      recorded: this.recorder ? this.recorder.count : null,
+      replayed: this.replayer ? this.replayer.count : null,
+      unsupported: [...this.unsupportedEndpoints.values()].map(({ feature, impact }) => ({ feature, impact }))
+    };
+  }
+
+  // Retries transient failures (5xx, secondary rate limits, dropped connections)
+  // with exponential backoff; anything else is thrown straight away
+  async withRetry(label, operation) {
+    return withRetry(operation, {
+      onRetry: (error, attempt, delay) => {
+        logger.warning(`${label} failed (${error.status || error.code || error.message}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt})`);
+      }
     });
-    this.rateLimitRemaining = null;
   }
 
   async validateConnection() {
     try {
-      const { data: user } = await this.octokit.rest.users.getAuthenticated();
-      logger.success(`Connected to GitHub as: ${user.login}`);
+      const { data: user, headers } = await this.octokit.rest.users.getAuthenticated();
+      this.serverVersion = headers['x-github-enterprise-version'] || null;
+      logger.success(`Connected to ${this.getServerName()} as: ${user.login}`);
       return user;
     } catch (error) {
-      logger.error('Failed to connect to GitHub', error.message);
+      // A GitHub Enterprise web address instead of its API answers with 404 or a page that isn't JSON
+      const hint = this.apiUrl !== DEFAULT_API_URL && error.status !== 401
+        ? ` - is ${this.apiUrl} the REST API root, e.g. https://github.example.com/api/v3?`
+        : '';
+      logger.error(`Failed to connect to ${this.getServerName()}`, error.message + hint);
       throw new Error('GitHub authentication failed');
     }
   }
 
+  async listAllPages(request, params) {
+    const items = [];
+    let page = 1;
+    let hasMorePages = true;
+
+    while (hasMorePages) {
+      const { data } = await this.withRetry(`Fetching page ${page}`, () => request({ ...params, per_page: 100, page }));
+
+      items.push(...data);
+      hasMorePages = data.length === 100;
+      page++;
+    }
+
+    return items;
+  }
+
   async getUserRepos(username) {
     try {
       logger.info(`Fetching repositories for user: ${username}`);
       
-      const repos = [];
-      let page = 1;
-      let hasMorePages = true;
+      const repos = await this.listAllPages(this.octokit.rest.repos.listForUser, {
+        username,
+        type: 'all',
+        sort: 'updated'
+      });
 
-      while (hasMorePages) {
-        const { data } = await this.octokit.rest.repos.listForUser({
-          username,
-          type: 'all',
-          sort: 'updated',
-          per_page: 100,
-          page
-        });
+      logger.success(`Found ${repos.length} repositories`);
+      return repos;
+    } catch (error) {
+      logger.error('Failed to fetch repositories', error.message);
+      throw error;
+    }
+  }
 
-        repos.push(...data);
-        hasMorePages = data.length === 100;
-        page++;
+  async getOrgRepos(org) {
+    try {
+      logger.info(`Fetching repositories for organization: ${org}`);
 
-        // Update rate limit info
-        this.updateRateLimit();
-      }
+      const repos = await this.listAllPages(this.octokit.rest.repos.listForOrg, {
+        org,
+        type: 'all',
+        sort: 'updated'
+      });
 
-      logger.success(`Found ${repos.length} repositories`);
+      logger.success(`Found ${repos.length} repositories in ${org}`);
       return repos;
     } catch (error) {
-      logger.error('Failed to fetch repositories', error.message);
+      logger.error(`Failed to fetch repositories for organization: ${org}`, error.message);
+      throw error;
+    }
+  }
+
+  async getTeamRepos(org, teamSlug) {
+    try {
+      logger.info(`Fetching repositories for team: ${org}/${teamSlug}`);
+
+      const repos = await this.listAllPages(this.octokit.rest.teams.listReposInOrg, {
+        org,
+        team_slug: teamSlug
+      });
+
+      logger.success(`Found ${repos.length} repositories for team ${org}/${teamSlug}`);
+      return repos;
+    } catch (error) {
+      logger.error(`Failed to fetch repositories for team: ${org}/${teamSlug}`, error.message);
       throw error;
     }
   }
 
-  async getRepoDetails(repo, currentIndex, totalRepos) {
+  async getRepoDetails(repo) {
     const repoName = repo.full_name;
     
     try {
-      logger.progressWithPercentage(currentIndex + 1, totalRepos, repoName);
-
       const project = new ProjectSummary(
         repo.name,
         repo.description,
         repo.html_url,
-        repo.language
+        repo.language,
+        null,
+        repo.owner.login
       );
 
       // Get the most recent PR for this repo
@@ -76,20 +421,20 @@ export class GitHubService {
       return project;
     } catch (error) {
       logger.error(`Failed to process repo: ${repoName}`, error.message);
-      return new ProjectSummary(repo.name, repo.description, repo.html_url, repo.language);
+      return new ProjectSummary(repo.name, repo.description, repo.html_url, repo.language, null, repo.owner.login);
     }
   }
 
   async getLastPRForRepo(owner, repo) {
     try {
-      const { data: prs } = await this.octokit.rest.pulls.list({
+      const { data: prs } = await this.withRetry(`Fetching pull requests for ${owner}/${repo}`, () => this.octokit.rest.pulls.list({
         owner,
         repo,
         state: 'all',
         sort: 'updated',
         direction: 'desc',
         per_page: 1
-      });
+      }));
 
       if (prs.length > 0) {
         const pr = prs[0];
@@ -103,101 +448,514 @@ export class GitHubService {
       }
       return null;
     } catch (error) {
+      // Transient failures that outlived the retries, and gaps in a replayed
+      // recording, are real errors for the caller to report
+      if (isRetryableError(error) || error instanceof MissingRecordingError) {
+        throw error;
+      }
       // Don't log individual PR fetch errors - they're often due to permissions
       return null;
     }
   }
 
-  async getUserActivity(username) {
+  // The user's commits on the repository's default branch during the window,
+  // with line and file statistics. Each commit costs one extra request for
+  // its statistics; merge commits are skipped so merged work isn't counted twice.
+  async getCodeChanges(owner, repo, username, window) {
     try {
-      logger.info('Fetching recent user activity...');
-      
-      const activities = [];
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-
-      // Get recent events for the user
-      const { data: events } = await this.octokit.rest.activity.listEventsForUser({
-        username,
-        per_page: 100
+      const listed = await this.listAllPages(this.octokit.rest.repos.listCommits, {
+        owner,
+        repo,
+        author: username,
+        since: window.start.toISOString(),
+        until: window.end.toISOString()
       });
 
-      for (const event of events) {
-        const eventDate = new Date(event.created_at);
-        
-        // Focus on recent events (last 7 days to catch yesterday's activity)
-        const weekAgo = new Date();
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        
-        if (eventDate < weekAgo) continue;
-
-        let activity = null;
-
-        switch (event.type) {
-          case 'PullRequestEvent':
-            if (event.payload.action === 'opened') {
-              activity = new Activity(
-                'pr_created',
-                event.payload.pull_request.title,
-                event.payload.pull_request.html_url,
-                event.created_at,
-                event.repo.name
-              );
-            }
-            break;
-            
-          case 'IssueCommentEvent':
-            if (event.payload.issue.pull_request) {
-              activity = new Activity(
-                'pr_commented',
-                `Comment on: ${event.payload.issue.title}`,
-                event.payload.comment.html_url,
-                event.created_at,
-                event.repo.name
-              );
-            } else {
-              activity = new Activity(
-                'issue_commented',
-                `Comment on: ${event.payload.issue.title}`,
-                event.payload.comment.html_url,
-                event.created_at,
-                event.repo.name
-              );
-            }
-            break;
-            
-          case 'PullRequestReviewEvent':
-            activity = new Activity(
-              'pr_reviewed',
-              `Review: ${event.payload.pull_request.title}`,
-              event.payload.review.html_url,
-              event.created_at,
-              event.repo.name
-            );
-            break;
+      const commits = [];
+      for (const { sha } of listed.filter(commit => commit.parents.length < 2)) {
+        const { data } = await this.withRetry(`Fetching commit ${sha.slice(0, 7)} in ${owner}/${repo}`, () => this.octokit.rest.repos.getCommit({
+          owner,
+          repo,
+          ref: sha
+        }));
+
+        commits.push(new Commit(
+          data.sha,
+          data.commit.message,
+          data.html_url,
+          data.commit.author?.date || data.commit.committer?.date,
+          data.stats?.additions,
+          data.stats?.deletions,
+          (data.files || []).map(file => ({ filename: file.filename, additions: file.additions, deletions: file.deletions }))
+        ));
+      }
+
+      return new CodeChanges(commits);
+    } catch (error) {
+      // Empty repositories answer 409, missing access 403 or 404 - neither means any commits were missed
+      if ([403, 404, 409].includes(error.status)) {
+        return new CodeChanges();
+      }
+      logger.error(`Failed to fetch commits for ${owner}/${repo}`, error.message);
+      return new CodeChanges();
+    }
+  }
+
+  // Lifecycle metrics for the PRs the user opened or merged during the window,
+  // and turnaround for the reviews they were asked for and gave during it
+  async getPullRequestMetrics(username, window) {
+    const range = `${toSearchDate(window.start)}..${toSearchDate(window.end)}`;
+    const pullRequests = [];
+    const reviews = [];
+
+    try {
+      logger.info(`Collecting pull request metrics for ${username}...`);
+
+      const authored = dedupeSearchItems([
+        ...await this.searchIssues(`type:pr author:${username} created:${range}`),
+        ...await this.searchIssues(`type:pr author:${username} merged:${range}`)
+      ]);
+      for (const item of authored) {
+        try {
+          pullRequests.push(await this.getPullRequestLifecycle(item));
+        } catch (error) {
+          logger.error(`Failed to fetch metrics for ${item.html_url}`, error.message);
         }
+      }
 
-        if (activity) {
-          activities.push(activity);
+      const reviewed = await this.searchIssues(`type:pr reviewed-by:${username} -author:${username} updated:${range}`);
+      for (const item of reviewed) {
+        try {
+          reviews.push(...await this.getReviewTurnarounds(item, username, window));
+        } catch (error) {
+          logger.error(`Failed to fetch review timeline for ${item.html_url}`, error.message);
         }
       }
+    } catch (error) {
+      logger.error('Failed to collect pull request metrics', error.message);
+    }
+
+    return new PullRequestMetrics(pullRequests, reviews);
+  }
+
+  // Open PRs waiting on the user right now, regardless of the reporting window:
+  // review requests, their own PRs with changes requested or failing checks,
+  // and PRs they are involved in that nobody touched for staleDays
+  async getAttentionItems(username, staleDays) {
+    const items = [];
+
+    try {
+      logger.info(`Looking for pull requests waiting on ${username}...`);
 
-      logger.success(`Found ${activities.length} recent activities`);
-      return activities;
+      const requested = await this.searchIssues(`type:pr state:open archived:false review-requested:${username}`);
+      for (const item of requested) {
+        try {
+          items.push(await this.getReviewRequest(item, username));
+        } catch (error) {
+          logger.error(`Failed to fetch review request for ${item.html_url}`, error.message);
+        }
+      }
+
+      const authored = await this.searchIssues(`type:pr state:open archived:false author:${username}`);
+      for (const item of authored) {
+        try {
+          items.push(...await this.getOpenPullRequestBlockers(item));
+        } catch (error) {
+          logger.error(`Failed to check ${item.html_url}`, error.message);
+        }
+      }
+
+      // Anything already listed has a more specific reason
+      const listed = new Set(items.map(item => item.url));
+      const staleBefore = new Date(now().getTime() - staleDays * DAY_MS);
+      const stale = await this.searchIssues(`type:pr state:open archived:false involves:${username} updated:<${toSearchDate(staleBefore)}`);
+      stale
+        .filter(item => !listed.has(item.html_url))
+        .forEach(item => items.push(new AttentionItem({
+          reason: 'stale',
+          title: item.title,
+          url: item.html_url,
+          repoName: parseSearchItem(item).fullName,
+          waitingSince: item.updated_at
+        })));
+    } catch (error) {
+      logger.error('Failed to collect pull requests needing attention', error.message);
+    }
+
+    return items;
+  }
+
+  // The wait starts at the latest request, since a re-request restarts it
+  async getReviewRequest(item, username) {
+    const requestedAt = (await this.getPullRequestTimeline(item))
+      .filter(event => event.event === 'review_requested' && event.requested_reviewer?.login === username)
+      .map(event => event.created_at)
+      .sort()
+      .pop();
+
+    return new AttentionItem({
+      reason: 'review_requested',
+      title: item.title,
+      url: item.html_url,
+      repoName: parseSearchItem(item).fullName,
+      waitingSince: requestedAt || item.created_at,
+      detail: `by ${item.user?.login}`
+    });
+  }
+
+  async getOpenPullRequestBlockers(item) {
+    const { owner, repo, fullName, number } = parseSearchItem(item);
+    const blockers = [];
+    const toItem = (reason, waitingSince, detail) => new AttentionItem({
+      reason,
+      title: item.title,
+      url: item.html_url,
+      repoName: fullName,
+      waitingSince,
+      detail
+    });
+
+    // A reviewer's latest verdict counts; comments don't change it
+    const verdicts = new Map();
+    (await this.getPullRequestTimeline(item))
+      .filter(event => event.event === 'reviewed' && ['approved', 'changes_requested', 'dismissed'].includes(event.state))
+      .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at))
+      .forEach(review => verdicts.set(review.user?.login, review));
+    const changeRequests = [...verdicts.values()].filter(review => review.state === 'changes_requested');
+    if (changeRequests.length > 0) {
+      blockers.push(toItem(
+        'changes_requested',
+        changeRequests[0].submitted_at,
+        `by ${changeRequests.map(review => review.user?.login).join(', ')}`
+      ));
+    }
+
+    const failures = await this.getFailingChecks(owner, repo, number);
+    if (failures.length > 0) {
+      blockers.push(toItem(
+        'failing_checks',
+        failures.map(failure => failure.failedAt).sort()[0],
+        failures.map(failure => failure.name).join(', ')
+      ));
+    }
+
+    return blockers;
+  }
+
+  // Failed check runs and commit statuses on the PR's head commit
+  async getFailingChecks(owner, repo, number) {
+    const { data: pr } = await this.withRetry(`Fetching ${owner}/${repo}#${number}`, () => this.octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: number
+    }));
+    const ref = pr.head.sha;
+
+    const checkRuns = await this.getUnlessForbidden(`Fetching checks for ${owner}/${repo}#${number}`, async () => {
+      const { data } = await this.octokit.rest.checks.listForRef({ owner, repo, ref, per_page: 100 });
+      return data.check_runs;
+    });
+    const statuses = await this.getUnlessForbidden(`Fetching statuses for ${owner}/${repo}#${number}`, async () => {
+      const { data } = await this.octokit.rest.repos.getCombinedStatusForRef({ owner, repo, ref, per_page: 100 });
+      return data.statuses;
+    });
+
+    return [
+      ...checkRuns
+        .filter(run => FAILING_CHECK_CONCLUSIONS.includes(run.conclusion))
+        .map(run => ({ name: run.name, failedAt: run.completed_at || pr.updated_at })),
+      ...statuses
+        .filter(status => FAILING_STATUS_STATES.includes(status.state))
+        .map(status => ({ name: status.context, failedAt: status.updated_at || pr.updated_at }))
+    ];
+  }
+
+  // Tokens without access to checks or statuses get 403 or 404, and servers
+  // without the endpoint can't answer, which all means there is nothing to report
+  async getUnlessForbidden(label, operation) {
+    try {
+      return await this.withRetry(label, operation);
+    } catch (error) {
+      if (error instanceof UnsupportedEndpointError || [403, 404].includes(error.status)) return [];
+      throw error;
+    }
+  }
+
+  // Servers without the timeline API still list reviews, shaped here like
+  // the timeline's "reviewed" events; only review requests are lost
+  async getPullRequestTimeline(item) {
+    const { owner, repo, number } = parseSearchItem(item);
+    try {
+      return await this.listAllPages(this.octokit.rest.issues.listEventsForTimeline, { owner, repo, issue_number: number });
+    } catch (error) {
+      if (!(error instanceof UnsupportedEndpointError)) throw error;
+    }
+
+    const reviews = await this.listAllPages(this.octokit.rest.pulls.listReviews, { owner, repo, pull_number: number });
+    return reviews.map(review => ({
+      event: 'reviewed',
+      state: review.state.toLowerCase(),
+      user: review.user,
+      submitted_at: review.submitted_at
+    }));
+  }
+
+  async getPullRequestLifecycle(item) {
+    const { owner, repo, number } = parseSearchItem(item);
+    const { data: pr } = await this.withRetry(`Fetching ${owner}/${repo}#${number}`, () => this.octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: number
+    }));
+
+    // Replies to review comments show up as reviews by the author, so those don't count
+    const reviews = (await this.getPullRequestTimeline(item))
+      .filter(event => event.event === 'reviewed' && event.user?.login !== pr.user.login && event.state !== 'pending')
+      .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+    const changeRequests = reviews.filter(review => review.state === 'changes_requested').length;
+
+    return new PullRequestLifecycle({
+      title: pr.title,
+      url: pr.html_url,
+      repoName: `${owner}/${repo}`,
+      createdAt: pr.created_at,
+      firstReviewAt: reviews[0]?.submitted_at,
+      mergedAt: pr.merged_at,
+      reviewRounds: reviews.length > 0 ? changeRequests + 1 : 0,
+      additions: pr.additions,
+      deletions: pr.deletions,
+      changedFiles: pr.changed_files
+    });
+  }
+
+  // Pairs every review request for the user with their first review after it.
+  // Reviews given without a request have no latency and are left out.
+  async getReviewTurnarounds(item, username, window) {
+    const timeline = await this.getPullRequestTimeline(item);
+    const requests = timeline
+      .filter(event => event.event === 'review_requested' && event.requested_reviewer?.login === username)
+      .map(event => new Date(event.created_at))
+      .sort((a, b) => a - b);
+    const reviewTimes = timeline
+      .filter(event => event.event === 'reviewed' && event.user?.login === username && event.submitted_at)
+      .map(event => new Date(event.submitted_at))
+      .sort((a, b) => a - b);
+
+    const turnarounds = [];
+    requests.forEach((requestedAt, index) => {
+      const nextRequest = requests[index + 1];
+      const reviewedAt = reviewTimes.find(time => time >= requestedAt && (!nextRequest || time < nextRequest));
+      if (reviewedAt && window.contains(reviewedAt)) {
+        turnarounds.push(new ReviewTurnaround({
+          title: item.title,
+          url: item.html_url,
+          repoName: parseSearchItem(item).fullName,
+          requestedAt,
+          reviewedAt
+        }));
+      }
+    });
+    return turnarounds;
+  }
+
+  async getUserActivity(username, window) {
+    try {
+      logger.info(`Fetching user activity for ${window.label}...`);
+
+      const { events, coveredFrom } = await this.getUserEvents(username, window);
+      const activities = events
+        // Only keep events inside the requested reporting window
+        .filter(event => window.contains(event.created_at))
+        .map(event => this.eventToActivity(event))
+        .filter(Boolean);
+
+      // The feed is capped, so older parts of the window come from search instead
+      if (window.start < coveredFrom) {
+        const gapEnd = new Date(Math.min(coveredFrom.getTime(), window.end.getTime()));
+        logger.info(`The events feed only reaches back to ${coveredFrom.toISOString()}, searching ${username}'s earlier activity`);
+        activities.push(...await this.searchUserActivity(username, window, window.start, gapEnd));
+      }
+
+      const uniqueActivities = dedupeActivities(activities);
+      logger.success(`Found ${uniqueActivities.length} activities for ${window.label}`);
+      return uniqueActivities;
     } catch (error) {
       logger.error('Failed to fetch user activity', error.message);
       return [];
     }
   }
 
-  updateRateLimit() {
-    // This would be called after each API request to track rate limits
-    // For now, we'll keep it simple
+  // Pages through the events feed, newest first, until it passes the start of
+  // the window or hits the feed's limit. coveredFrom is the earliest time the
+  // returned events are complete for.
+  async getUserEvents(username, window) {
+    const events = [];
+    let truncated = false;
+
+    for (let page = 1; page <= MAX_EVENT_PAGES; page++) {
+      let data;
+      try {
+        ({ data } = await this.withRetry(`Fetching events page ${page} for ${username}`, () => this.octokit.rest.activity.listEventsForAuthenticatedUser({
+          username,
+          per_page: EVENTS_PER_PAGE,
+          page
+        })));
+      } catch (error) {
+        // GitHub answers pages beyond the feed's limit with 422
+        if (error.status === 422) {
+          truncated = true;
+          break;
+        }
+        throw error;
+      }
+
+      events.push(...data);
+      if (data.length < EVENTS_PER_PAGE || new Date(data[data.length - 1].created_at) < window.start) {
+        break;
+      }
+      truncated = page === MAX_EVENT_PAGES;
+    }
+
+    const retentionStart = new Date(now().getTime() - EVENTS_RETENTION_DAYS * DAY_MS);
+    const oldest = events.length > 0 ? new Date(events[events.length - 1].created_at) : null;
+    const coveredFrom = truncated && oldest && oldest > retentionStart ? oldest : retentionStart;
+
+    return { events, coveredFrom };
+  }
+
+  eventToActivity(event) {
+    const { payload } = event;
+    const repoUrl = `${this.webUrl}/${event.repo.name}`;
+    const create = (type, title, url) => new Activity(type, title, url, event.created_at, event.repo.name);
+
+    switch (event.type) {
+      case 'PullRequestEvent':
+        if (payload.action === 'opened') {
+          return create('pr_created', payload.pull_request.title, payload.pull_request.html_url);
+        }
+        if (payload.action === 'closed') {
+          return create(payload.pull_request.merged ? 'pr_merged' : 'pr_closed', payload.pull_request.title, payload.pull_request.html_url);
+        }
+        return null;
+
+      case 'PullRequestReviewEvent':
+        return create('pr_reviewed', `Review: ${payload.pull_request.title}`, payload.review.html_url);
+
+      case 'PullRequestReviewCommentEvent':
+        if (payload.action !== 'created') return null;
+        return create('pr_review_commented', `Review comment on: ${payload.pull_request.title}`, payload.comment.html_url);
+
+      case 'IssueCommentEvent':
+        return create(
+          payload.issue.pull_request ? 'pr_commented' : 'issue_commented',
+          `Comment on: ${payload.issue.title}`,
+          payload.comment.html_url
+        );
+
+      case 'IssuesEvent':
+        if (payload.action === 'opened' || payload.action === 'closed') {
+          return create(`issue_${payload.action}`, payload.issue.title, payload.issue.html_url);
+        }
+        return null;
+
+      case 'PushEvent': {
+        const branch = payload.ref.replace(/^refs\/heads\//, '');
+        // Newer feeds omit the commit list, so the count is only shown when known
+        const commitCount = payload.size ?? payload.commits?.length;
+        const title = commitCount === undefined
+          ? `Pushed to ${branch}`
+          : `Pushed ${commitCount} commit${commitCount === 1 ? '' : 's'} to ${branch}`;
+        const url = payload.before && !/^0+$/.test(payload.before)
+          ? `${repoUrl}/compare/${payload.before}...${payload.head}`
+          : `${repoUrl}/commit/${payload.head}`;
+        return create('pushed', title, url);
+      }
+
+      case 'CreateEvent':
+        if (payload.ref_type === 'branch') {
+          return create('branch_created', `Branch ${payload.ref}`, `${repoUrl}/tree/${payload.ref}`);
+        }
+        if (payload.ref_type === 'tag') {
+          return create('tag_created', `Tag ${payload.ref}`, `${repoUrl}/releases/tag/${payload.ref}`);
+        }
+        return null;
+
+      case 'ReleaseEvent':
+        if (payload.action !== 'published') return null;
+        return create('release_published', payload.release.name || payload.release.tag_name, payload.release.html_url);
+
+      case 'GollumEvent':
+        return create(
+          'wiki_edited',
+          `Wiki: ${payload.pages.map(page => page.title).join(', ')}`,
+          payload.pages[0]?.html_url || `${repoUrl}/wiki`
+        );
+
+      default:
+        return null;
+    }
+  }
+
+  // Rebuilds activity for dates the events feed no longer covers. Search only
+  // knows when an issue or PR was created or last updated, so reviews and
+  // comments are dated by the PR's last update and link to the PR itself.
+  async searchUserActivity(username, window, start, end) {
+    const range = `${toSearchDate(start)}..${toSearchDate(end)}`;
+    const activities = [];
+
+    for (const query of SEARCH_QUERIES) {
+      const q = `${query.qualifiers.replace('{user}', username)} ${query.dateField}:${range}`;
+      try {
+        const items = await this.searchIssues(q);
+        items.forEach(item => {
+          const date = item[`${query.dateField}_at`];
+          if (!window.contains(date) || new Date(date) >= end) return;
+          activities.push(new Activity(
+            query.getType(item),
+            query.getTitle(item),
+            item.html_url,
+            date,
+            parseSearchItem(item).fullName
+          ));
+        });
+      } catch (error) {
+        logger.error(`Failed to search activity (${q})`, error.message);
+      }
+    }
+
+    return activities;
+  }
+
+  async searchIssues(q) {
+    const items = [];
+
+    for (let page = 1; page <= MAX_SEARCH_PAGES; page++) {
+      const { data } = await this.withRetry(`Searching page ${page} of "${q}"`, () => this.octokit.rest.search.issuesAndPullRequests({
+        q,
+        sort: 'updated',
+        order: 'desc',
+        per_page: SEARCH_PER_PAGE,
+        page
+      }));
+
+      items.push(...data.items);
+      if (data.items.length < SEARCH_PER_PAGE) break;
+      if (page === MAX_SEARCH_PAGES && data.total_count > items.length) {
+        logger.warning(`Search "${q}" matched ${data.total_count} results, only the first ${items.length} are included`);
+      }
+    }
+
+    return items;
+  }
+
+  updateRateLimit(headers) {
+    this.rateLimiter.update(headers);
   }
 
   async checkRateLimit() {
     try {
       const { data } = await this.octokit.rest.rateLimit.get();
+      this.rateLimiter.setFromRateLimitResponse(data);
       const remaining = data.rate.remaining;
       const resetTime = new Date(data.rate.reset * 1000);
       
@@ -209,7 +967,10 @@ export class GitHubService {
       
       return data.rate;
     } catch (error) {
-      logger.warning('Could not check rate limit');
+      // Already reported when the server lacks the endpoint
+      if (!(error instanceof UnsupportedEndpointError)) {
+        logger.warning('Could not check rate limit');
+      }
       return null;
     }
   }
@@ -0,0 +1,95 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile, rm, readdir } from 'fs/promises';
+import { homedir } from 'os';
+import { join } from 'path';
+
+export const DEFAULT_CACHE_TTL_SECONDS = 300;
+
+export function getDefaultCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || join(homedir(), '.cache');
+  return join(base, 'github-report');
+}
+
+// Stores GET responses on disk, one JSON file per request. Entries younger
+// than the TTL are served as-is; older ones are revalidated with their ETag
+// or Last-Modified date, and a 304 reply reuses the stored body.
+export class HttpCache {
+  constructor({ dir = getDefaultCacheDir(), ttlSeconds = DEFAULT_CACHE_TTL_SECONDS, namespace = '' } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlSeconds * 1000;
+    this.namespace = namespace;
+    this.stats = { hits: 0, revalidated: 0, misses: 0 };
+  }
+
+  // The namespace keeps responses for different tokens apart, since they can
+  // see different private data
+  getKey(method, url) {
+    return createHash('sha256')
+      .update(`${this.namespace}\n${method} ${url}`)
+      .digest('hex');
+  }
+
+  getPath(key) {
+    return join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await readFile(this.getPath(key), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  isFresh(entry) {
+    return Date.now() - entry.storedAt < this.ttlMs;
+  }
+
+  getValidators(entry) {
+    const headers = {};
+    if (entry.response.headers.etag) {
+      headers['if-none-match'] = entry.response.headers.etag;
+    }
+    if (entry.response.headers['last-modified']) {
+      headers['if-modified-since'] = entry.response.headers['last-modified'];
+    }
+    return headers;
+  }
+
+  async set(key, response) {
+    const entry = {
+      storedAt: Date.now(),
+      response: {
+        status: response.status,
+        url: response.url,
+        headers: response.headers,
+        data: response.data
+      }
+    };
+
+    try {
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(this.getPath(key), JSON.stringify(entry));
+    } catch {
+      // A cache that cannot be written only costs speed, never correctness
+    }
+    return entry;
+  }
+
+  async touch(key, entry) {
+    return this.set(key, entry.response);
+  }
+
+  async clear() {
+    let files = [];
+    try {
+      files = (await readdir(this.dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    await Promise.all(files.map(file => rm(join(this.dir, file), { force: true })));
+    return files.length;
+  }
+}
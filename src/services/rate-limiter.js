@@ -0,0 +1,78 @@
+import logger from '../utils/logger.js';
+
+// GitHub tracks separate budgets per resource; requests we make land in these
+export function getRateLimitResource(url = '') {
+  if (url.startsWith('/search/')) return 'search';
+  // GitHub Enterprise Server serves GraphQL from /api/graphql, outside the REST root
+  if (url === '/graphql' || url.endsWith('/api/graphql')) return 'graphql';
+  return 'core';
+}
+
+export class RateLimiter {
+  constructor({ buffer = 20 } = {}) {
+    this.buffer = buffer;
+    this.limits = {};
+    this.pendingWaits = new Map();
+  }
+
+  // Reads the x-ratelimit-* headers GitHub sends with every response
+  update(headers = {}) {
+    const remaining = headers['x-ratelimit-remaining'];
+    if (remaining === undefined) return;
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    this.limits[resource] = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(remaining),
+      used: Number(headers['x-ratelimit-used'] ?? 0),
+      reset: new Date(Number(headers['x-ratelimit-reset']) * 1000)
+    };
+  }
+
+  setFromRateLimitResponse(data) {
+    Object.entries(data.resources || { core: data.rate }).forEach(([resource, rate]) => {
+      this.limits[resource] = {
+        limit: rate.limit,
+        remaining: rate.remaining,
+        used: rate.used ?? rate.limit - rate.remaining,
+        reset: new Date(rate.reset * 1000)
+      };
+    });
+  }
+
+  getStatus(resource = 'core') {
+    return this.limits[resource] || null;
+  }
+
+  // The search budget is tiny (30/min), so the buffer never exceeds a fraction of it
+  getThreshold(status) {
+    return Math.min(this.buffer, Math.floor(status.limit / 10));
+  }
+
+  isExhausted(resource) {
+    const status = this.limits[resource];
+    return Boolean(status && status.remaining <= this.getThreshold(status) && status.reset > new Date());
+  }
+
+  // Resolves immediately while the budget lasts; otherwise pauses until the
+  // reset time. Concurrent callers share a single wait.
+  async acquire(resource = 'core') {
+    if (!this.isExhausted(resource)) return;
+
+    if (!this.pendingWaits.has(resource)) {
+      const status = this.limits[resource];
+      const waitMs = status.reset.getTime() - Date.now() + 1000;
+      logger.warning(`Only ${status.remaining} ${resource} requests left - pausing until the rate limit resets at ${status.reset.toLocaleTimeString()}`);
+      const wait = logger
+        .countdown(waitMs, 'Waiting for the rate limit to reset')
+        .then(() => {
+          // Assume a fresh budget until the next response says otherwise
+          this.limits[resource] = { ...status, remaining: status.limit };
+          this.pendingWaits.delete(resource);
+        });
+      this.pendingWaits.set(resource, wait);
+    }
+
+    await this.pendingWaits.get(resource);
+  }
+}
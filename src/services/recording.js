@@ -0,0 +1,145 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+export const RECORDING_FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+// Fixture names stay readable in bug reports ("GET-repos-octo-alpha-pulls-…")
+// while the hash keeps requests that differ only in their query, or for
+// GraphQL in their body, apart. The host is left out so a recording replays
+// wherever the API happens to live.
+export function getFixtureName(method, url, body = null) {
+  const { pathname, search } = new URL(url);
+  const slug = `${method}${pathname}`
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/-+$/, '')
+    .slice(0, 80);
+  const hash = createHash('sha256')
+    .update(`${method} ${pathname}${search}${body === null ? '' : ` ${serializeBody(body)}`}`)
+    .digest('hex')
+    .slice(0, 12);
+  return `${slug}-${hash}.json`;
+}
+
+function serializeBody(body) {
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+// Matches the shape of Octokit's RequestError closely enough for the status
+// checks in GitHubService and the retry helpers
+export class ReplayedRequestError extends Error {
+  constructor(fixture) {
+    super(fixture.response.data?.message || `HTTP ${fixture.response.status}`);
+    this.name = 'HttpError';
+    this.status = fixture.response.status;
+    this.response = fixture.response;
+  }
+}
+
+export class MissingRecordingError extends Error {
+  constructor(method, url, dir) {
+    super(`No recorded response for ${method} ${url} in ${dir} - record again with the same options`);
+    this.name = 'MissingRecordingError';
+  }
+}
+
+function toFixture(method, url, body, response) {
+  return {
+    request: { method, url, ...(body === null ? {} : { body }) },
+    response: {
+      status: response.status,
+      url: response.url,
+      headers: response.headers,
+      data: response.data
+    }
+  };
+}
+
+// Writes every GitHub response of a run, including error responses, to a
+// directory that --replay can serve later
+export class ResponseRecorder {
+  constructor(dir) {
+    this.dir = dir;
+    this.count = 0;
+  }
+
+  async start({ recordedAt, timeZone, apiUrl }) {
+    await mkdir(this.dir, { recursive: true });
+    const manifest = {
+      formatVersion: RECORDING_FORMAT_VERSION,
+      recordedAt: recordedAt.toISOString(),
+      timeZone,
+      apiUrl
+    };
+    await writeFile(join(this.dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+  }
+
+  async record(method, url, body, response) {
+    const fixture = toFixture(method, url, body, response);
+    await writeFile(join(this.dir, getFixtureName(method, url, body)), JSON.stringify(fixture, null, 2) + '\n');
+    this.count++;
+  }
+}
+
+export class ResponseReplayer {
+  constructor(dir, manifest) {
+    this.dir = dir;
+    this.manifest = manifest;
+    this.count = 0;
+  }
+
+  static async load(dir) {
+    let content;
+    try {
+      content = await readFile(join(dir, MANIFEST_FILE), 'utf8');
+    } catch (error) {
+      throw new Error(`Could not read recording ${dir}: ${error.message}`);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Could not parse ${join(dir, MANIFEST_FILE)}: ${error.message}`);
+    }
+
+    if (manifest.formatVersion !== RECORDING_FORMAT_VERSION) {
+      throw new Error(`Unsupported recording format ${manifest.formatVersion} in ${dir} (expected ${RECORDING_FORMAT_VERSION})`);
+    }
+    if (Number.isNaN(new Date(manifest.recordedAt).getTime())) {
+      throw new Error(`Recording ${dir} has an invalid recordedAt timestamp`);
+    }
+
+    return new ResponseReplayer(dir, manifest);
+  }
+
+  get recordedAt() {
+    return new Date(this.manifest.recordedAt);
+  }
+
+  get timeZone() {
+    return this.manifest.timeZone;
+  }
+
+  // Recordings made before GitHub Enterprise support have none
+  get apiUrl() {
+    return this.manifest.apiUrl || null;
+  }
+
+  async replay(method, url, body = null) {
+    const path = join(this.dir, getFixtureName(method, url, body));
+    let fixture;
+    try {
+      fixture = JSON.parse(await readFile(path, 'utf8'));
+    } catch {
+      throw new MissingRecordingError(method, url, this.dir);
+    }
+
+    this.count++;
+    if (fixture.response.status >= 400) {
+      throw new ReplayedRequestError(fixture);
+    }
+    return fixture.response;
+  }
+}
@@ -0,0 +1,109 @@
+import { mkdir, readFile, writeFile, readdir } from 'fs/promises';
+import { homedir } from 'os';
+import { join } from 'path';
+import { serializeReport } from '../renderers/json.renderer.js';
+import { SummaryTrend } from '../models/trend.model.js';
+
+export function getDefaultHistoryDir() {
+  const base = process.env.XDG_DATA_HOME || join(homedir(), '.local', 'share');
+  return join(base, 'github-report', 'history');
+}
+
+// 2026-10-19T15:53:58.000Z -> 20261019-155358
+function toSnapshotStamp(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, '').replace(/[-:]/g, '').replace('T', '-');
+}
+
+export class SnapshotNotFoundError extends Error {
+  constructor(id) {
+    super(`No report "${id}" in the history - run "github-report history" to list them`);
+    this.name = 'SnapshotNotFoundError';
+  }
+}
+
+// Keeps every generated report as its JSON serialization, one directory per
+// user, so later runs can compare against it and it can be rendered again.
+// Snapshot ids are "<username>/<generated stamp>".
+export class ReportHistory {
+  constructor({ dir = getDefaultHistoryDir() } = {}) {
+    this.dir = dir;
+  }
+
+  // Runs finishing within the same second get a numbered suffix instead of
+  // overwriting each other
+  async save(report) {
+    const contents = JSON.stringify(serializeReport(report), null, 2) + '\n';
+    const baseId = `${report.username}/${toSnapshotStamp(report.generatedAt)}`;
+    await mkdir(join(this.dir, report.username), { recursive: true });
+
+    for (let attempt = 1; ; attempt++) {
+      const id = attempt === 1 ? baseId : `${baseId}-${attempt}`;
+      try {
+        await writeFile(this.getPath(id), contents, { flag: 'wx' });
+        return id;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+  }
+
+  getPath(id) {
+    return join(this.dir, `${id}.json`);
+  }
+
+  async load(id) {
+    // Ids come from the command line; anything but "<username>/<stamp>" could leave the directory
+    if (!/^[\w.-]+\/\d{8}-\d{6}(-\d+)?$/.test(id)) {
+      throw new SnapshotNotFoundError(id);
+    }
+
+    try {
+      return JSON.parse(await readFile(this.getPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new SnapshotNotFoundError(id);
+      throw error;
+    }
+  }
+
+  async listUsers() {
+    try {
+      const entries = await readdir(this.dir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // [{ id, snapshot }] for one user, or everyone, newest first
+  async list(username = null) {
+    const usernames = username ? [username] : await this.listUsers();
+    const entries = [];
+
+    for (const user of usernames) {
+      let files = [];
+      try {
+        files = (await readdir(join(this.dir, user))).filter(file => file.endsWith('.json'));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const file of files) {
+        const id = `${user}/${file.slice(0, -'.json'.length)}`;
+        try {
+          entries.push({ id, snapshot: JSON.parse(await readFile(this.getPath(id), 'utf8')) });
+        } catch {
+          // A damaged snapshot only drops out of the history
+        }
+      }
+    }
+
+    return entries.sort((a, b) => new Date(b.snapshot.generatedAt) - new Date(a.snapshot.generatedAt));
+  }
+
+  async getTrend(report) {
+    const history = (await this.list(report.username)).map(entry => entry.snapshot);
+    return SummaryTrend.fromSnapshots(serializeReport(report), history);
+  }
+}
@@ -0,0 +1,155 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import logger from '../utils/logger.js';
+import { freezeClock, unfreezeClock } from '../utils/clock.js';
+import { formatZonedDateTime } from '../utils/timezone.js';
+
+// The timer is re-armed at least this often, so after the machine wakes from
+// sleep missed runs are noticed within a minute
+const MAX_WAIT_MS = 60 * 1000;
+
+// A run starting this long after its time is treated as missed
+const LATE_AFTER_MS = 5 * 60 * 1000;
+
+export function getDefaultScheduleStateFile() {
+  const base = process.env.XDG_DATA_HOME || join(homedir(), '.local', 'share');
+  return join(base, 'github-report', 'schedule-state.json');
+}
+
+// Calls `run(scheduledAt)` whenever the cron schedule comes due and remembers
+// the last run in a state file, so runs missed while the machine slept or the
+// scheduler was stopped are made up for: the `catchUp` most recent of them,
+// each with the clock frozen at the time it was due. Several schedules
+// can share a state file under different `stateKey`s.
+export class ReportScheduler {
+  constructor({ schedule, run, stateFile = getDefaultScheduleStateFile(), stateKey, catchUp = 1 }) {
+    this.schedule = schedule;
+    this.run = run;
+    this.stateFile = stateFile;
+    this.stateKey = stateKey;
+    this.catchUp = catchUp;
+    this.stopped = false;
+    this.running = false;
+    this.wakeUp = null;
+  }
+
+  async readState() {
+    try {
+      return JSON.parse(await readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Could not read schedule state ${this.stateFile}: ${error.message}`);
+    }
+  }
+
+  async loadLastRun() {
+    const lastRun = (await this.readState())[this.stateKey]?.lastRun;
+    return lastRun ? new Date(lastRun) : null;
+  }
+
+  async saveLastRun(date) {
+    const state = await this.readState();
+    state[this.stateKey] = { lastRun: date.toISOString() };
+    await mkdir(dirname(this.stateFile), { recursive: true });
+    await writeFile(this.stateFile, JSON.stringify(state, null, 2) + '\n');
+  }
+
+  // Runs due after lastRun as of `at`, oldest first: the current one if it is
+  // on time, plus up to catchUp missed ones. `latest` is the newest run that
+  // came due, kept or not, and `skipped` whether any missed run was left out.
+  getDueRuns(lastRun, at) {
+    // One more than can be kept, to tell whether anything was left out
+    const candidates = [];
+    for (
+      let run = this.schedule.previous(new Date(at.getTime() + 1));
+      run && run > lastRun && candidates.length < this.catchUp + 2;
+      run = this.schedule.previous(run)
+    ) {
+      candidates.push(run);
+    }
+
+    const [newest] = candidates;
+    const onTime = newest && at - newest < LATE_AFTER_MS ? newest : null;
+    const missed = candidates.filter(run => run !== onTime).slice(0, this.catchUp);
+    const runs = [
+      ...missed.reverse().map(scheduledAt => ({ scheduledAt, late: true })),
+      ...(onTime ? [{ scheduledAt: onTime, late: false }] : [])
+    ];
+    return { runs, latest: newest || null, skipped: candidates.length > runs.length };
+  }
+
+  describe(date) {
+    return formatZonedDateTime(date, this.schedule.timeZone);
+  }
+
+  async runOnce({ scheduledAt, late }) {
+    logger.info(late
+      ? `Catching up on the report due ${this.describe(scheduledAt)}`
+      : `Generating the report due ${this.describe(scheduledAt)}`);
+
+    // A late report covers the window it would have covered on time
+    if (late) freezeClock(scheduledAt);
+    this.running = true;
+    try {
+      await this.run(scheduledAt);
+    } catch (error) {
+      logger.error(`Scheduled report due ${this.describe(scheduledAt)} failed`, error.message);
+    } finally {
+      this.running = false;
+      unfreezeClock();
+    }
+  }
+
+  wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  // Resolves once stop() is called and any report in progress has finished.
+  // Without an earlier run on record nothing is caught up; the first report
+  // is the next one due.
+  async start() {
+    let lastRun = await this.loadLastRun() || new Date();
+    let announced = null;
+
+    while (!this.stopped) {
+      const { runs, latest, skipped } = this.getDueRuns(lastRun, new Date());
+      if (skipped) {
+        logger.warning(this.catchUp === 0
+          ? 'Skipping missed reports'
+          : `Skipping missed reports older than the newest ${this.catchUp}`);
+      }
+      for (const run of runs) {
+        if (this.stopped) break;
+        await this.runOnce(run);
+        lastRun = run.scheduledAt;
+        await this.saveLastRun(lastRun);
+      }
+      // Skipped runs are not tried again on the next pass or the next start
+      if (latest && latest > lastRun && !this.stopped) {
+        lastRun = latest;
+        await this.saveLastRun(lastRun);
+      }
+
+      const next = this.schedule.next(new Date());
+      if (!this.stopped && next.getTime() !== announced) {
+        logger.info(`Next report due ${this.describe(next)} (${this.schedule})`);
+        announced = next.getTime();
+      }
+      if (!this.stopped) {
+        await this.wait(Math.max(0, Math.min(next - Date.now(), MAX_WAIT_MS)));
+      }
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.wakeUp) this.wakeUp();
+  }
+}
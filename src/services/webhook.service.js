@@ -0,0 +1,74 @@
+import logger from '../utils/logger.js';
+import { withRetry } from '../utils/retry.js';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+export class WebhookError extends Error {
+  constructor(response, body) {
+    super(`HTTP ${response.status}${body ? `: ${body.slice(0, 200)}` : ''}`);
+    this.name = 'WebhookError';
+    this.status = response.status;
+    // Shaped like an Octokit error so retry-after is honoured by withRetry
+    this.response = { headers: Object.fromEntries(response.headers) };
+  }
+}
+
+// Webhook URLs carry their secret in the path, so only the host is ever shown
+export function describeWebhook(url) {
+  return new URL(url).host;
+}
+
+// Posts JSON payloads to incoming webhooks, retrying timeouts, 429s and 5xx
+// replies. Failures are logged and returned, never thrown, so one broken
+// webhook can't lose a report that was already written.
+export class WebhookService {
+  constructor({ retries = 3, baseDelayMs = 1000 } = {}) {
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+  }
+
+  async post(url, payload) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      // fetch only says "fetch failed"; the cause names the network error, which withRetry also retries on
+      const code = error.name === 'TimeoutError' ? 'ETIMEDOUT' : error.cause?.code;
+      const message = error.name === 'TimeoutError' ? `no reply within ${REQUEST_TIMEOUT_MS / 1000}s` : code || error.message;
+      throw Object.assign(new Error(message), { code });
+    }
+
+    if (!response.ok) {
+      throw new WebhookError(response, await response.text().catch(() => ''));
+    }
+  }
+
+  // Resolves to { target, format, delivered, attempts, error }
+  async deliver(url, payload, format) {
+    const target = describeWebhook(url);
+    let attempts = 0;
+
+    try {
+      await withRetry(() => {
+        attempts++;
+        return this.post(url, payload);
+      }, {
+        retries: this.retries,
+        baseDelayMs: this.baseDelayMs,
+        onRetry: (error, attempt, delay) => {
+          logger.warning(`Webhook ${target} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt})`);
+        }
+      });
+      logger.success(`Report posted to ${format} webhook ${target}`);
+      return { target, format, delivered: true, attempts, error: null };
+    } catch (error) {
+      logger.error(`Failed to post the report to ${format} webhook ${target}`, error.message);
+      return { target, format, delivered: false, attempts, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,116 @@
+{{! Default markdown layout for team reports (--users). Copy this file and pass it with --template to customize it. }}
+# GitHub Team Activity Report
+
+**Team:** {{ team.memberNames }}  
+**Generated:** {{ generatedAt }}  
+**{{ window.dateLabel }}:** {{ window.description }}
+
+{{#if attention}}
+## Needs Attention
+
+{{#each attention.groups as group}}
+### {{ group.label }} ({{ group.count }})
+
+{{#each group.items as item}}
+- [{{ item.title }}]({{ item.url }}) in {{ item.repoName }}, waiting on {{ item.waitingOn }} for {{ item.waiting }}{{#if item.detail}} ({{ item.detail }}){{/if}}
+{{/each}}
+
+{{else}}
+Nothing is waiting on the team.
+
+{{/each}}
+{{/if}}
+## Team Summary
+
+- **Members:** {{ team.memberCount }}
+- **Total Repositories Analyzed:** {{ team.totalRepos }}
+{{#if team.filteredOutRepos}}
+- **Repositories Filtered Out:** {{ team.filteredOutRepos }}
+{{/if}}
+- **Active Repositories:** {{ team.activeRepos }}
+- **Total Activities:** {{ team.totalActivities }}
+{{#each activityCounts as count}}
+  - {{ count.label }}: {{ count.count }}
+{{/each}}
+{{#if team.commits}}
+- **Code Changes:** {{ team.commits }} commits, +{{ team.linesAdded }} / -{{ team.linesDeleted }} lines in {{ team.filesChanged }} files
+{{/if}}
+
+| Member |{{#each activityCounts as count}} {{ count.label }} |{{/each}}{{#if team.commits}} Commits |{{/if}} Total Activities | Active Repositories |
+| ------ |{{#each activityCounts as count}} --- |{{/each}}{{#if team.commits}} --- |{{/if}} ---------------- | ------------------- |
+{{#each team.members as member}}
+| {{ member.username }} |{{#each member.counts as count}} {{ count.count }} |{{/each}}{{#if team.commits}} {{ member.commits }} |{{/if}} {{ member.totalActivities }} | {{ member.activeRepos }} |
+{{/each}}
+
+{{#if prMetrics}}
+## Pull Request Metrics
+
+- **PRs Authored:** {{ prMetrics.authoredPRs }} ({{ prMetrics.mergedPRs }} merged)
+- **Requested Reviews Given:** {{ prMetrics.reviewsGiven }}
+
+| Metric | Median | Sample Size |
+| ------ | ------ | ----------- |
+{{#each prMetrics.metrics as metric}}
+| {{ metric.label }} | {{ metric.median }} | {{ metric.samples }} |
+{{/each}}
+
+{{#if prMetrics.outliers}}
+**Outliers:**
+
+{{#each prMetrics.outliers as outlier}}
+- {{ outlier.label }} of {{ outlier.value }}: [{{ outlier.title }}]({{ outlier.url }}) in {{ outlier.repoName }}
+{{/each}}
+
+{{/if}}
+{{/if}}
+{{#each members as member}}
+## {{ member.username }}
+
+{{#if member.trend}}
+### Trends
+
+{{#each member.trend.metrics as metric}}
+- {{ metric.label }}: {{ metric.current }} ({{ metric.delta }}, {{ member.trend.days }}-day avg {{ metric.average }})
+{{/each}}
+
+{{/if}}
+{{#if member.activities}}
+### {{ window.heading }}
+
+{{#each member.activityGroups as group}}
+#### {{ group.label }} ({{ group.count }})
+
+{{#each group.activities as activity}}
+- [{{ activity.title }}]({{ activity.url }}) in {{ activity.repoName }} ({{ activity.date }})
+{{/each}}
+
+{{/each}}
+{{else}}
+No activity detected for {{ window.label }}.
+
+{{/if}}
+{{#if member.codeChanges}}
+### Code Changes
+
+{{#each member.codeChanges as repo}}
+- [{{ repo.fullName }}]({{ repo.url }}): {{ repo.commits }} commits, +{{ repo.additions }} / -{{ repo.deletions }} lines in {{ repo.filesChanged }} files
+{{/each}}
+
+{{/if}}
+{{#if member.activeProjects}}
+### Active Projects
+
+{{#each member.activeProjects as project}}
+- [{{ project.fullName }}]({{ project.url }}){{#if project.language}} ({{ project.language }}){{/if}}
+{{/each}}
+
+{{/if}}
+{{/each}}
+{{#if team.hasErrors}}
+## Errors Encountered
+
+{{ team.errorCount }} error(s) occurred during report generation. Check the console output for details.
+
+{{/if}}
+---
+*Report generated by GitHub Activity Report Generator*
@@ -0,0 +1,134 @@
+{{! Default markdown layout. Copy this file and pass it with --template to customize the report. }}
+# GitHub Activity Report
+
+**User:** {{ username }}  
+**Generated:** {{ generatedAt }}  
+**{{ window.dateLabel }}:** {{ window.description }}
+
+{{#if attention}}
+## Needs Attention
+
+{{#each attention.groups as group}}
+### {{ group.label }} ({{ group.count }})
+
+{{#each group.items as item}}
+- [{{ item.title }}]({{ item.url }}) in {{ item.repoName }}, waiting {{ item.waiting }}{{#if item.detail}} ({{ item.detail }}){{/if}}
+{{/each}}
+
+{{else}}
+Nothing is waiting on you.
+
+{{/each}}
+{{/if}}
+## Executive Summary
+
+- **Total Repositories Analyzed:** {{ summary.totalRepos }}
+{{#if summary.filteredOutRepos}}
+- **Repositories Filtered Out:** {{ summary.filteredOutRepos }}
+{{/if}}
+- **Active Repositories:** {{ summary.activeRepos }}
+- **Total Activities:** {{ summary.totalActivities }}
+{{#each activityCounts as count}}
+  - {{ count.label }}: {{ count.count }}
+{{/each}}
+{{#if summary.commits}}
+- **Code Changes:** {{ summary.commits }} commits, +{{ summary.linesAdded }} / -{{ summary.linesDeleted }} lines in {{ summary.filesChanged }} files
+{{/if}}
+
+{{#if trend}}
+### Trends
+
+{{#if trend.previousWindow}}Compared with {{ trend.previousWindow }}; {{/if}}{{ trend.days }}-day average over {{ trend.sampleCount }} reports.
+
+| Metric | Current | Previous | Change | {{ trend.days }}-day Avg |
+| ------ | ------- | -------- | ------ | ---------- |
+{{#each trend.metrics as metric}}
+| {{ metric.label }} | {{ metric.current }} | {{ metric.previous }} | {{ metric.delta }} | {{ metric.average }} |
+{{/each}}
+
+{{/if}}
+{{#if activityGroups}}
+## {{ window.heading }}
+
+{{#each activityGroups as group}}
+### {{ group.label }} ({{ group.count }})
+
+{{#each group.activities as activity}}
+**{{ activity.title }}**
+- Repository: {{ activity.repoName }}
+- Date: {{ activity.date }}
+- [View on GitHub]({{ activity.url }})
+
+{{/each}}
+{{/each}}
+{{/if}}
+{{#if codeChanges}}
+## Code Changes
+
+| Repository | Commits | Lines Added | Lines Deleted | Files Changed | Top Directories |
+| ---------- | ------- | ----------- | ------------- | ------------- | --------------- |
+{{#each codeChanges as repo}}
+| [{{ repo.fullName }}]({{ repo.url }}) | {{ repo.commits }} | +{{ repo.additions }} | -{{ repo.deletions }} | {{ repo.filesChanged }} | {{#each repo.topDirectories as dir}}`{{ dir.path }}` (+{{ dir.additions }}/-{{ dir.deletions }}){{#unless @last}}, {{/unless}}{{/each}} |
+{{/each}}
+
+{{/if}}
+{{#if prMetrics}}
+## Pull Request Metrics
+
+- **PRs Authored:** {{ prMetrics.authoredPRs }} ({{ prMetrics.mergedPRs }} merged)
+- **Requested Reviews Given:** {{ prMetrics.reviewsGiven }}
+
+| Metric | Median | Sample Size |
+| ------ | ------ | ----------- |
+{{#each prMetrics.metrics as metric}}
+| {{ metric.label }} | {{ metric.median }} | {{ metric.samples }} |
+{{/each}}
+
+{{#if prMetrics.outliers}}
+**Outliers:**
+
+{{#each prMetrics.outliers as outlier}}
+- {{ outlier.label }} of {{ outlier.value }}: [{{ outlier.title }}]({{ outlier.url }}) in {{ outlier.repoName }}
+{{/each}}
+
+{{/if}}
+{{/if}}
+{{#if activeProjects}}
+## Active Projects
+
+{{#each activeProjects as project}}
+### [{{ project.fullName }}]({{ project.url }})
+{{ project.description }}
+
+{{#if project.language}}
+**Language:** {{ project.language }}  
+{{/if}}
+{{#if project.activities}}
+**{{ window.heading }}:**
+{{#each project.activities as activity}}
+- {{ activity.typeDisplay }}: [{{ activity.title }}]({{ activity.url }})
+{{/each}}
+{{/if}}
+{{#if project.lastPR}}
+**Latest PR:** [{{ project.lastPR.title }}]({{ project.lastPR.url }}) by {{ project.lastPR.author }} ({{ project.lastPR.date }})
+{{/if}}
+
+{{/each}}
+{{/if}}
+{{#if hasInactiveRepositories}}
+## All Repositories ({{ repositories.length }} total)
+
+{{#each repositories as repo}}
+{{ repo.status }} [{{ repo.fullName }}]({{ repo.url }}){{#if repo.language}} ({{ repo.language }}){{/if}}  
+{{ repo.description }}
+
+{{/each}}
+{{/if}}
+{{#if summary.hasErrors}}
+## Errors Encountered
+
+{{ summary.errorCount }} error(s) occurred during report generation. Check the console output for details.
+
+{{/if}}
+---
+*Report generated by GitHub Activity Report Generator*
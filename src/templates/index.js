@@ -0,0 +1,37 @@
+import { readFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { compileTemplate } from './template-engine.js';
+import { TEMPLATE_VARIABLES, TEAM_TEMPLATE_VARIABLES } from './template-context.js';
+
+export { TemplateError } from './template-engine.js';
+export { buildTemplateContext, buildTeamTemplateContext } from './template-context.js';
+
+export const DEFAULT_TEMPLATE_PATH = fileURLToPath(new URL('./default.md.tpl', import.meta.url));
+export const DEFAULT_TEAM_TEMPLATE_PATH = fileURLToPath(new URL('./default-team.md.tpl', import.meta.url));
+
+export const defaultTemplate = compileTemplate(readFileSync(DEFAULT_TEMPLATE_PATH, 'utf8'), {
+  source: 'default.md.tpl',
+  variables: TEMPLATE_VARIABLES
+});
+
+export const defaultTeamTemplate = compileTemplate(readFileSync(DEFAULT_TEAM_TEMPLATE_PATH, 'utf8'), {
+  source: 'default-team.md.tpl',
+  variables: TEAM_TEMPLATE_VARIABLES
+});
+
+// Team reports expose different variables, so a template is validated
+// against the mode it will be rendered in
+export async function loadTemplate(path, { team = false } = {}) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read template ${path}: ${error.message}`);
+  }
+
+  return compileTemplate(text, {
+    source: path,
+    variables: team ? TEAM_TEMPLATE_VARIABLES : TEMPLATE_VARIABLES
+  });
+}
@@ -0,0 +1,241 @@
+import { formatZonedDateTime } from '../utils/timezone.js';
+import { ACTIVITY_TYPES, groupActivitiesByType } from '../models/activity-types.js';
+import { PR_METRICS, formatMetricValue } from '../models/pr-metrics.model.js';
+import { groupAttentionItems } from '../models/attention.model.js';
+import { TREND_DAYS, formatDelta, formatAverage } from '../models/trend.model.js';
+
+// Names every template can use; compileTemplate checks expressions against them
+export const TEMPLATE_VARIABLES = [
+  'username',
+  'generatedAt',
+  'window',
+  'attention',
+  'summary',
+  'trend',
+  'activityCounts',
+  'activities',
+  'activityGroups',
+  'codeChanges',
+  'prMetrics',
+  'activeProjects',
+  'repositories',
+  'hasInactiveRepositories',
+  'errors'
+];
+
+function toActivityView(activity, timeZone) {
+  return {
+    type: activity.type,
+    typeDisplay: activity.getTypeDisplay(),
+    title: activity.title,
+    url: activity.url,
+    repoName: activity.repoName,
+    date: activity.getFormattedDate(timeZone)
+  };
+}
+
+// The non-zero summary counters, labelled, in registry order
+function toActivityCounts(summary) {
+  return ACTIVITY_TYPES
+    .filter(({ summaryKey }) => summary[summaryKey] > 0)
+    .map(({ type, summaryKey, summaryLabel }) => ({ type, key: summaryKey, label: summaryLabel, count: summary[summaryKey] }));
+}
+
+function toCodeChangesView(project, timeZone) {
+  const { commits, additions, deletions, filesChanged } = project.codeChanges.getSummary();
+
+  return {
+    fullName: project.fullName,
+    url: project.url,
+    commits,
+    additions,
+    deletions,
+    filesChanged,
+    topDirectories: project.codeChanges.getTopDirectories(),
+    commitList: project.codeChanges.commits.map(commit => ({
+      sha: commit.sha.slice(0, 7),
+      title: commit.title,
+      url: commit.url,
+      additions: commit.additions,
+      deletions: commit.deletions,
+      date: commit.getFormattedDate(timeZone)
+    }))
+  };
+}
+
+// Display-ready medians and outliers, or null when there is nothing to show
+function toPullRequestMetricsView(metrics) {
+  if (!metrics || metrics.isEmpty()) return null;
+
+  const summary = metrics.getSummary();
+  return {
+    authoredPRs: summary.authoredPRs,
+    mergedPRs: summary.mergedPRs,
+    reviewsGiven: summary.reviewsGiven,
+    metrics: PR_METRICS.map(metric => ({
+      key: metric.key,
+      label: metric.label,
+      median: formatMetricValue(metric, summary[metric.key].median),
+      samples: summary[metric.key].samples
+    })),
+    outliers: metrics.getOutliers().map(({ metric, item, value }) => ({
+      metric: metric.key,
+      label: metric.label,
+      value: formatMetricValue(metric, value),
+      title: item.title,
+      url: item.url,
+      repoName: item.repoName
+    }))
+  };
+}
+
+// null when the section was skipped, so templates can tell "skipped" from "nothing waiting"
+function toAttentionView(items, timeZone) {
+  if (!items) return null;
+
+  return {
+    total: items.length,
+    groups: groupAttentionItems(items).map(group => ({
+      reason: group.reason,
+      label: group.label,
+      count: group.items.length,
+      items: group.items.map(item => ({
+        title: item.title,
+        url: item.url,
+        repoName: item.repoName,
+        detail: item.detail || '',
+        waiting: item.getFormattedWait(),
+        waitingSince: formatZonedDateTime(item.waitingSince, timeZone),
+        waitingOn: item.waitingOn ? item.waitingOn.join(', ') : ''
+      }))
+    }))
+  };
+}
+
+function toTrendView(trend) {
+  if (!trend) return null;
+
+  return {
+    previousWindow: trend.previousWindow || '',
+    sampleCount: trend.sampleCount,
+    days: TREND_DAYS,
+    metrics: trend.getMetrics().map(metric => ({
+      key: metric.key,
+      label: metric.label,
+      current: metric.current,
+      previous: metric.previous === null ? '–' : metric.previous,
+      delta: formatDelta(metric.delta),
+      average: formatAverage(metric.average)
+    }))
+  };
+}
+
+function toProjectView(project, window) {
+  const active = project.hasActivityWithin(window);
+
+  return {
+    name: project.name,
+    owner: project.owner,
+    fullName: project.fullName,
+    description: project.description,
+    url: project.url,
+    language: project.language,
+    active,
+    status: active ? '🟢' : '⚪',
+    activities: project.getActivitiesWithin(window).map(activity => toActivityView(activity, window.timeZone)),
+    lastPR: project.lastPR && {
+      title: project.lastPR.title,
+      url: project.lastPR.url,
+      author: project.lastPR.author,
+      state: project.lastPR.state,
+      date: project.lastPR.getFormattedDate(window.timeZone)
+    }
+  };
+}
+
+// Flattens a GitHubReport into plain values with display-ready dates, so
+// templates never call model methods
+export function buildTemplateContext(report) {
+  const { window } = report;
+  const summary = report.getExecutiveSummary();
+  const activities = report.getAllActivities();
+  const repositories = report.projects.map(project => toProjectView(project, window));
+  const activeProjects = repositories.filter(project => project.active);
+
+  return {
+    username: report.username,
+    generatedAt: formatZonedDateTime(report.generatedAt, window.timeZone),
+    window: {
+      label: window.label,
+      title: window.getTitle(),
+      heading: window.getActivitiesHeading(),
+      description: window.getRangeDescription(),
+      dateLabel: window.getDayCount() > 1 ? 'Report Period' : 'Report Date',
+      timeZone: window.timeZone,
+      days: window.getDayCount()
+    },
+    attention: toAttentionView(report.attentionItems, window.timeZone),
+    summary,
+    trend: toTrendView(report.trend),
+    activityCounts: toActivityCounts(summary),
+    activities: activities.map(activity => toActivityView(activity, window.timeZone)),
+    activityGroups: groupActivitiesByType(activities).map(group => ({
+      type: group.type,
+      label: group.summaryLabel,
+      count: group.activities.length,
+      activities: group.activities.map(activity => toActivityView(activity, window.timeZone))
+    })),
+    codeChanges: report.getProjectsWithCodeChanges().map(project => toCodeChangesView(project, window.timeZone)),
+    prMetrics: toPullRequestMetricsView(report.prMetrics),
+    activeProjects,
+    repositories,
+    hasInactiveRepositories: repositories.length > activeProjects.length,
+    errors: report.errors.map(error => ({ message: error.message, context: error.context || '' }))
+  };
+}
+
+export const TEAM_TEMPLATE_VARIABLES = [
+  'generatedAt',
+  'window',
+  'attention',
+  'team',
+  'activityCounts',
+  'prMetrics',
+  'members',
+  'activities',
+  'errors'
+];
+
+export function buildTeamTemplateContext(teamReport) {
+  const { window } = teamReport;
+  const summary = teamReport.getTeamSummary();
+  const members = teamReport.members.map(member => ({
+    ...buildTemplateContext(member),
+    summary: summary.members.find(entry => entry.username === member.username)
+  }));
+  const activityCounts = toActivityCounts(summary);
+
+  return {
+    generatedAt: formatZonedDateTime(teamReport.generatedAt, window.timeZone),
+    window: members[0].window,
+    attention: toAttentionView(teamReport.getAttentionItems(), window.timeZone),
+    team: {
+      ...summary,
+      memberNames: summary.members.map(member => member.username).join(', '),
+      // Each member's value for every counter in activityCounts, in the same
+      // order, so per-person tables line up with the team totals
+      members: summary.members.map(member => ({
+        ...member,
+        counts: activityCounts.map(({ key, label }) => ({ key, label, count: member[key] }))
+      }))
+    },
+    activityCounts,
+    prMetrics: toPullRequestMetricsView(teamReport.getPullRequestMetrics()),
+    members,
+    activities: teamReport.getAllActivities().map(({ username, activity }) => ({
+      username,
+      ...toActivityView(activity, window.timeZone)
+    })),
+    errors: teamReport.errors.map(error => ({ message: error.message, context: error.context || '' }))
+  };
+}
@@ -0,0 +1,330 @@
+// A small Handlebars-style template language for report layouts:
+//
+//   {{ summary.totalRepos }}                 output a value
+//   {{#if lastPR}} ... {{else}} ... {{/if}}  conditionals ({{#unless}} too)
+//   {{#each activities as activity}} ... {{else}} ... {{/each}}
+//   {{! comment }}
+//
+// Inside {{#each}}, @index, @number (1-based), @first and @last describe the
+// current item. Block tags that sit alone on a line remove that whole line, so
+// templates can be laid out readably without leaving blank lines behind.
+
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const PATH_PATTERN = /^@?[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+const LOOP_VARIABLES = ['@index', '@number', '@first', '@last'];
+
+export class TemplateError extends Error {
+  constructor(message, line, source = 'template') {
+    super(`${source}:${line}: ${message}`);
+    this.name = 'TemplateError';
+    this.line = line;
+    this.source = source;
+  }
+}
+
+function lineAt(text, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (text[i] === '\n') line++;
+  }
+  return line;
+}
+
+function classifyTag(body, line, source) {
+  const content = body.trim();
+
+  if (body.includes('{{')) {
+    throw new TemplateError('Unterminated "{{" (missing "}}")', line, source);
+  }
+
+  if (content.startsWith('!')) return { kind: 'comment', line };
+  if (content === 'else') return { kind: 'else', line };
+
+  if (content.startsWith('#')) {
+    const [helper, ...args] = content.slice(1).trim().split(/\s+/);
+    if (!BLOCK_HELPERS.includes(helper)) {
+      throw new TemplateError(`Unknown block helper "#${helper}" (expected one of ${BLOCK_HELPERS.map(name => `#${name}`).join(', ')})`, line, source);
+    }
+    if (args.length === 0 || !args[0]) {
+      throw new TemplateError(`{{#${helper}}} needs a value to test, e.g. {{#${helper} summary.hasErrors}}`, line, source);
+    }
+
+    if (helper === 'each') {
+      const [path, keyword, alias, ...rest] = args;
+      if (keyword !== undefined && (keyword !== 'as' || !alias || rest.length > 0)) {
+        throw new TemplateError(`Malformed {{#each}}: expected "{{#each list}}" or "{{#each list as item}}", got "{{${content}}}"`, line, source);
+      }
+      if (alias && !/^[A-Za-z_$][\w$]*$/.test(alias)) {
+        throw new TemplateError(`Invalid loop variable name "${alias}"`, line, source);
+      }
+      return { kind: 'open', helper, path, alias: alias || 'this', line };
+    }
+
+    if (args.length > 1) {
+      throw new TemplateError(`{{#${helper}}} takes a single value, got "${args.join(' ')}"`, line, source);
+    }
+    return { kind: 'open', helper, path: args[0], line };
+  }
+
+  if (content.startsWith('/')) {
+    return { kind: 'close', helper: content.slice(1).trim(), line };
+  }
+
+  if (!content) {
+    throw new TemplateError('Empty expression "{{}}"', line, source);
+  }
+  return { kind: 'variable', path: content, line };
+}
+
+function isStandaloneKind(kind) {
+  return kind !== 'variable';
+}
+
+function tokenize(text, source) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ kind: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    tokens.push(classifyTag(match[1], lineAt(text, match.index), source));
+    lastIndex = TAG_PATTERN.lastIndex;
+  }
+
+  const rest = text.slice(lastIndex);
+  if (rest.includes('{{')) {
+    throw new TemplateError('Unterminated "{{" (missing "}}")', lineAt(text, lastIndex + rest.indexOf('{{')), source);
+  }
+  if (rest) {
+    tokens.push({ kind: 'text', value: rest });
+  }
+
+  stripStandaloneLines(tokens);
+  return tokens;
+}
+
+// Removes the indentation and line break around block tags that are the only
+// thing on their line. Decisions use the original text so that consecutive
+// standalone lines are all detected before anything is trimmed.
+function stripStandaloneLines(tokens) {
+  const trims = tokens.map(token => ({ start: 0, end: token.kind === 'text' ? token.value.length : 0 }));
+
+  tokens.forEach((token, index) => {
+    if (!isStandaloneKind(token.kind)) return;
+
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if ((previous && previous.kind !== 'text') || (next && next.kind !== 'text')) return;
+
+    const before = previous ? previous.value : '';
+    const lineStart = before.lastIndexOf('\n');
+    const startsLine = lineStart !== -1 || index <= 1;
+    if (!startsLine || before.slice(lineStart + 1).trim() !== '') return;
+
+    const after = next ? next.value : '';
+    const newline = after.indexOf('\n');
+    const endsLine = newline !== -1 || index + 2 >= tokens.length;
+    if (!endsLine || (newline === -1 ? after : after.slice(0, newline)).trim() !== '') return;
+
+    if (previous) trims[index - 1].end = Math.min(trims[index - 1].end, lineStart + 1);
+    if (next) trims[index + 1].start = Math.max(trims[index + 1].start, newline === -1 ? after.length : newline + 1);
+  });
+
+  tokens.forEach((token, index) => {
+    if (token.kind !== 'text') return;
+    const { start, end } = trims[index];
+    token.value = end > start ? token.value.slice(start, end) : '';
+  });
+}
+
+function parse(tokens, source) {
+  const root = { children: [] };
+  const stack = [{ node: root, target: root.children }];
+
+  for (const token of tokens) {
+    const frame = stack[stack.length - 1];
+
+    switch (token.kind) {
+      case 'text':
+        if (token.value) frame.target.push({ type: 'text', value: token.value });
+        break;
+
+      case 'variable':
+        frame.target.push({ type: 'variable', path: token.path, line: token.line });
+        break;
+
+      case 'open': {
+        const node = { type: token.helper, path: token.path, alias: token.alias, line: token.line, children: [], inverse: [] };
+        frame.target.push(node);
+        stack.push({ node, target: node.children });
+        break;
+      }
+
+      case 'else':
+        if (stack.length === 1) {
+          throw new TemplateError('{{else}} outside of an {{#if}}, {{#unless}} or {{#each}} block', token.line, source);
+        }
+        if (frame.target === frame.node.inverse) {
+          throw new TemplateError(`Duplicate {{else}} in {{#${frame.node.type}}} opened at line ${frame.node.line}`, token.line, source);
+        }
+        frame.target = frame.node.inverse;
+        break;
+
+      case 'close':
+        if (stack.length === 1) {
+          throw new TemplateError(`Unexpected {{/${token.helper}}} with no open block`, token.line, source);
+        }
+        if (frame.node.type !== token.helper) {
+          throw new TemplateError(`{{/${token.helper}}} does not match {{#${frame.node.type}}} opened at line ${frame.node.line}`, token.line, source);
+        }
+        stack.pop();
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  if (stack.length > 1) {
+    const { node } = stack[stack.length - 1];
+    throw new TemplateError(`{{#${node.type}}} is never closed (missing {{/${node.type}}})`, node.line, source);
+  }
+
+  return root.children;
+}
+
+// Checks every expression against the names that will exist at render time,
+// so a typo fails when the template is loaded instead of rendering blanks
+function validate(nodes, scope, source) {
+  for (const node of nodes) {
+    if (node.type === 'text') continue;
+
+    const { path, line } = node;
+    if (path === 'this' || path.startsWith('this.')) {
+      if (!scope.inLoop) {
+        throw new TemplateError(`"${path}" can only be used inside {{#each}}`, line, source);
+      }
+    } else {
+      if (!PATH_PATTERN.test(path)) {
+        throw new TemplateError(`Invalid expression "${path}" (expected a name such as summary.totalRepos)`, line, source);
+      }
+
+      const root = path.split('.')[0];
+      if (LOOP_VARIABLES.includes(root)) {
+        if (!scope.inLoop) {
+          throw new TemplateError(`"${root}" can only be used inside {{#each}}`, line, source);
+        }
+      } else if (root.startsWith('@')) {
+        throw new TemplateError(`Unknown loop variable "${root}" (expected one of ${LOOP_VARIABLES.join(', ')})`, line, source);
+      } else if (!scope.names.has(root)) {
+        throw new TemplateError(`Unknown variable "${root}" (available: ${[...scope.names].join(', ')})`, line, source);
+      }
+    }
+
+    if (node.type === 'each') {
+      const inner = { names: new Set([...scope.names, node.alias]), inLoop: true };
+      validate(node.children, inner, source);
+      validate(node.inverse, scope, source);
+    } else if (node.type === 'if' || node.type === 'unless') {
+      validate(node.children, scope, source);
+      validate(node.inverse, scope, source);
+    }
+  }
+}
+
+// Only the values' own properties are reachable, so a template can't read
+// inherited ones such as constructor or __proto__
+function lookup(path, scopes) {
+  const [root, ...rest] = path.split('.');
+
+  let value;
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (Object.hasOwn(scopes[i], root)) {
+      value = scopes[i][root];
+      break;
+    }
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, source) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'variable': {
+        const value = lookup(node.path, scopes);
+        output += value === null || value === undefined ? '' : String(value);
+        break;
+      }
+
+      case 'if':
+      case 'unless': {
+        const condition = isTruthy(lookup(node.path, scopes));
+        const branch = condition === (node.type === 'if') ? node.children : node.inverse;
+        output += renderNodes(branch, scopes, source);
+        break;
+      }
+
+      case 'each': {
+        const items = lookup(node.path, scopes);
+        if (items !== null && items !== undefined && !Array.isArray(items)) {
+          throw new TemplateError(`{{#each ${node.path}}} expects a list but got ${typeof items}`, node.line, source);
+        }
+        if (!items || items.length === 0) {
+          output += renderNodes(node.inverse, scopes, source);
+          break;
+        }
+        items.forEach((item, index) => {
+          const loopScope = {
+            this: item,
+            [node.alias]: item,
+            '@index': index,
+            '@number': index + 1,
+            '@first': index === 0,
+            '@last': index === items.length - 1
+          };
+          output += renderNodes(node.children, [...scopes, loopScope], source);
+        });
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return output;
+}
+
+export function compileTemplate(text, { source = 'template', variables = null } = {}) {
+  const nodes = parse(tokenize(text, source), source);
+
+  if (variables) {
+    validate(nodes, { names: new Set(variables), inLoop: false }, source);
+  }
+
+  return {
+    source,
+    render(context) {
+      return renderNodes(nodes, [context], source);
+    }
+  };
+}
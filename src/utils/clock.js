@@ -0,0 +1,20 @@
+// The single source of "now" for report logic. Replaying a recording freezes
+// it at the recording time so relative windows such as "yesterday" resolve
+// exactly as they did when the responses were captured.
+let frozenAt = null;
+
+export function now() {
+  return frozenAt === null ? new Date() : new Date(frozenAt);
+}
+
+export function freezeClock(date) {
+  frozenAt = new Date(date).getTime();
+}
+
+export function unfreezeClock() {
+  frozenAt = null;
+}
+
+export function isClockFrozen() {
+  return frozenAt !== null;
+}
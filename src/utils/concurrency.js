@@ -0,0 +1,17 @@
+// Runs the iteratee over every item with at most `limit` calls in flight and
+// resolves with the results in the original order
+export async function mapWithConcurrency(items, limit, iteratee) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await iteratee(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
@@ -0,0 +1,147 @@
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join, resolve } from 'path';
+
+export const CONFIG_FILE_NAME = '.github-reportrc.json';
+
+// Command-line values beat environment variables, which beat config files,
+// which beat built-in defaults
+const SOURCE_PRECEDENCE = ['default', 'config', 'env', 'cli'];
+
+// Settings that only make sense for a single run, or that would put a secret
+// in a file that is easy to commit
+const UNSUPPORTED_SETTINGS = {
+  token: 'keep the token out of config files; set "tokenFile" or the GITHUB_TOKEN environment variable instead',
+  config: 'config files cannot point at other config files',
+  record: 'recording is a per-run setting; pass --record on the command line',
+  replay: 'replaying is a per-run setting; pass --replay on the command line'
+};
+
+// Relative paths in a config file are relative to the file, not to wherever
+// the report happens to be run from; ~ is the home directory as in a shell
+const PATH_SETTINGS = ['tokenFile', 'usersFile', 'filters', 'template', 'output', 'cacheDir', 'historyDir', 'holidays', 'logFile'];
+const DATE_LIST_PATTERN = /^\d{4}-\d{2}-\d{2}(,|$)/;
+
+export function hasHigherPrecedence(source, otherSource) {
+  return SOURCE_PRECEDENCE.indexOf(source ?? 'default') > SOURCE_PRECEDENCE.indexOf(otherSource ?? 'default');
+}
+
+// The user's file in the home directory, then the project's file in the
+// current directory; the project's settings win where both set something
+export function getDefaultConfigPaths() {
+  return [join(homedir(), CONFIG_FILE_NAME), resolve(CONFIG_FILE_NAME)]
+    .filter((path, index, paths) => paths.indexOf(path) === index);
+}
+
+async function readConfigFile(path) {
+  let content;
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read config file ${path}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse config file ${path}: ${error.message}`);
+  }
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${path} must contain a JSON object`);
+  }
+
+  return Object.entries(config).map(([key, value]) => ({ key, value, path }));
+}
+
+// Returns [{ key, value, path }] from an explicit --config file, or from
+// whichever default files exist. Missing default files are not an error.
+export async function loadConfig(path = null) {
+  const paths = path ? [path] : getDefaultConfigPaths().filter(candidate => existsSync(candidate));
+  const settings = new Map();
+  for (const configPath of paths) {
+    (await readConfigFile(configPath)).forEach(setting => settings.set(setting.key, setting));
+  }
+  return { paths, settings: [...settings.values()] };
+}
+
+function resolvePathSetting(key, value, path) {
+  if (!PATH_SETTINGS.includes(key) || typeof value !== 'string' || value === '-') return value;
+  if (key === 'holidays' && DATE_LIST_PATTERN.test(value)) return value;
+  if (value === '~' || value.startsWith('~/')) return join(homedir(), value.slice(1));
+  return resolve(dirname(path), value);
+}
+
+// Turns one config value into the option's value by running it through the
+// same parser and choices the command line uses
+function parseSetting(option, key, rawValue, path) {
+  const fail = message => {
+    throw new Error(`Config setting "${key}" in ${path} ${message}`);
+  };
+  const value = resolvePathSetting(key, rawValue, path);
+
+  if (option.isBoolean() || option.negate) {
+    if (typeof value !== 'boolean') fail('must be true or false');
+    return value;
+  }
+
+  const isScalar = item => typeof item === 'string' || (typeof item === 'number' && Number.isFinite(item));
+  // Repeatable options are the ones collecting into an initially empty list
+  const repeatable = Array.isArray(option.defaultValue) && option.defaultValue.length === 0;
+  if (Array.isArray(value) ? !value.every(isScalar) : !isScalar(value)) {
+    fail(repeatable ? 'must be a string or a list of strings' : 'must be a string or a number');
+  }
+
+  // Repeatable options take each entry as if the option was given again;
+  // others take a list the way they take a comma-separated argument
+  const entries = Array.isArray(value) ? (repeatable ? value.map(String) : [value.join(',')]) : [String(value)];
+  let parsed = repeatable ? [] : undefined;
+  for (const entry of entries) {
+    if (option.argChoices && !option.argChoices.includes(entry)) {
+      fail(`must be one of ${option.argChoices.join(', ')}`);
+    }
+    try {
+      parsed = option.parseArg ? option.parseArg(entry, parsed) : entry;
+    } catch (error) {
+      fail(`(${option.long}): ${error.message}`);
+    }
+  }
+  return parsed;
+}
+
+// --version is an action, not a setting
+function findOption(command, key) {
+  return command.options.find(option => option.attributeName() === key && option.attributeName() !== 'version');
+}
+
+// Fills in every option the command line and the environment left at its
+// default. Unknown settings are rejected against `knownCommand` (the main
+// command) so a typo doesn't go unnoticed in a subcommand either; `keys`
+// limits which settings apply to `command`.
+export function applyConfig(command, config, { knownCommand = command, keys = null } = {}) {
+  const applied = [];
+
+  for (const { key, value, path } of config.settings) {
+    if (UNSUPPORTED_SETTINGS[key]) {
+      throw new Error(`Config setting "${key}" in ${path} is not supported: ${UNSUPPORTED_SETTINGS[key]}`);
+    }
+    if (!findOption(knownCommand, key)) {
+      const known = knownCommand.options
+        .map(option => option.attributeName())
+        .filter((name, index, names) => findOption(knownCommand, name) && !UNSUPPORTED_SETTINGS[name] && names.indexOf(name) === index);
+      throw new Error(`Unknown config setting "${key}" in ${path} (expected one of ${known.join(', ')})`);
+    }
+
+    const option = findOption(command, key);
+    if (!option || (keys && !keys.includes(key))) continue;
+    const parsed = parseSetting(option, key, value, path);
+    if (hasHigherPrecedence('config', command.getOptionValueSource(key))) {
+      command.setOptionValueWithSource(key, parsed, 'config');
+      applied.push(key);
+    }
+  }
+
+  return applied;
+}
@@ -0,0 +1,48 @@
+import { readFile } from 'fs/promises';
+import { hasHigherPrecedence } from './config.js';
+
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new Error('--token-file - reads the token from stdin, but nothing was piped in');
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readTokenFile(path) {
+  let content;
+  try {
+    content = path === '-' ? await readStdin() : await readFile(path, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read the token from ${path === '-' ? 'stdin' : path}: ${error.message}`);
+  }
+
+  const token = content.trim();
+  if (!token) {
+    throw new Error(`No token found in ${path === '-' ? 'stdin' : path}`);
+  }
+  return token;
+}
+
+// Picks the token from --token, --token-file, GITHUB_TOKEN/GH_TOKEN or a
+// config file's tokenFile, in the same order of precedence as every other
+// setting. `getSource` is the command's getOptionValueSource.
+export async function resolveToken({ token, tokenFile }, getSource, env = process.env) {
+  let tokenSource = getSource('token');
+  if (!token && env.GH_TOKEN) {
+    token = env.GH_TOKEN;
+    tokenSource = 'env';
+  }
+  const tokenFileSource = getSource('tokenFile');
+
+  if (tokenSource === 'cli' && tokenFileSource === 'cli') {
+    throw new Error('Pass either --token or --token-file, not both');
+  }
+  if (tokenFile && (!token || hasHigherPrecedence(tokenFileSource, tokenSource))) {
+    return readTokenFile(tokenFile);
+  }
+  return token || null;
+}
@@ -0,0 +1,169 @@
+import { getZonedParts, zonedDateTime } from './timezone.js';
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Standard five-field crontab syntax: minute hour day-of-month month day-of-week
+const FIELDS = [
+  { key: 'minutes', label: 'minute', min: 0, max: 59 },
+  { key: 'hours', label: 'hour', min: 0, max: 23 },
+  { key: 'days', label: 'day of month', min: 1, max: 31 },
+  { key: 'months', label: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  // 7 is accepted for Sunday as in most crons
+  { key: 'weekdays', label: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 }
+];
+
+const PRESETS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Far enough to reach the next 29 February from any date
+const SEARCH_DAYS = 8 * 366;
+
+export class CronError extends Error {
+  constructor(expression, message) {
+    super(`Invalid schedule "${expression}": ${message}`);
+    this.name = 'CronError';
+  }
+}
+
+function parseValue(text, field, expression) {
+  const upper = text.toUpperCase();
+  const nameIndex = field.names ? field.names.indexOf(upper) : -1;
+  const value = nameIndex >= 0 ? nameIndex + field.nameOffset : Number(text);
+
+  if (!/^\d+$/.test(text) && nameIndex < 0) {
+    throw new CronError(expression, `"${text}" is not a valid ${field.label}`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new CronError(expression, `${field.label} ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+// Each comma-separated part is "*", a value or a range, optionally with a
+// "/step"; a value with a step runs from that value to the end of the range
+function parseField(text, field, expression) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, ...rest] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (rest.length > 0 || !range || !Number.isInteger(step) || step < 1) {
+      throw new CronError(expression, `"${part}" is not a valid ${field.label} field`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [from, to, ...extra] = range.split('-');
+      if (extra.length > 0) {
+        throw new CronError(expression, `"${part}" is not a valid ${field.label} range`);
+      }
+      [start, end] = [parseValue(from, field, expression), parseValue(to, field, expression)];
+      if (start > end) {
+        throw new CronError(expression, `${field.label} range ${range} runs backwards`);
+      }
+    } else {
+      start = parseValue(range, field, expression);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// A parsed crontab expression evaluated in an IANA time zone, so "0 9 * * 1-5"
+// means 09:00 on weekdays wherever the schedule says, DST included.
+export class CronSchedule {
+  constructor(expression, timeZone) {
+    this.expression = expression.trim();
+    this.timeZone = timeZone;
+
+    const fields = (PRESETS[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw new CronError(expression, `expected ${FIELDS.length} fields (minute hour day-of-month month day-of-week) or one of ${Object.keys(PRESETS).join(', ')}`);
+    }
+
+    FIELDS.forEach((field, index) => {
+      this[field.key] = parseField(fields[index], field, expression);
+    });
+    if (this.weekdays.delete(7)) {
+      this.weekdays.add(0);
+    }
+
+    // As in Vixie cron, restricting both day fields matches either of them
+    this.restrictsDays = fields[2] !== '*';
+    this.restrictsWeekdays = fields[4] !== '*';
+    this.sortedHours = [...this.hours].sort((a, b) => a - b);
+    this.sortedMinutes = [...this.minutes].sort((a, b) => a - b);
+
+    if (!this.next(new Date())) {
+      throw new CronError(expression, 'it never runs');
+    }
+  }
+
+  matchesDay(month, day, weekday) {
+    if (!this.months.has(month)) return false;
+    const dayMatches = this.days.has(day);
+    const weekdayMatches = this.weekdays.has(weekday);
+    if (this.restrictsDays && this.restrictsWeekdays) return dayMatches || weekdayMatches;
+    return dayMatches && weekdayMatches;
+  }
+
+  // Walks the calendar from the given instant's day, forwards (direction 1)
+  // or backwards (-1), and returns the first run accepted by isWanted
+  find(from, direction, isWanted) {
+    const { year, month, day, hour: fromHour } = getZonedParts(from, this.timeZone);
+    const hours = direction > 0 ? this.sortedHours : [...this.sortedHours].reverse();
+    const minutes = direction > 0 ? this.sortedMinutes : [...this.sortedMinutes].reverse();
+
+    for (let offset = 0; offset <= SEARCH_DAYS; offset++) {
+      const date = new Date(Date.UTC(year, month - 1, day + offset * direction));
+      if (!this.matchesDay(date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCDay())) continue;
+
+      for (const hour of hours) {
+        // On the first day, hours well behind the starting point can't match;
+        // the hour of slack covers DST shifts
+        if (offset === 0 && (hour - fromHour) * direction < -1) continue;
+        for (const minute of minutes) {
+          const run = zonedDateTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, this.timeZone);
+          if (isWanted(run)) return run;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // First run strictly after the given instant, or null if there is none
+  next(after) {
+    return this.find(after, 1, run => run > after);
+  }
+
+  // Latest run strictly before the given instant, or null if there is none
+  previous(before) {
+    return this.find(before, -1, run => run < before);
+  }
+
+  // A schedule that fires at most once a day can name its files by date alone
+  isAtMostDaily() {
+    return this.minutes.size === 1 && this.hours.size === 1;
+  }
+
+  toString() {
+    return `${this.expression} (${this.timeZone})`;
+  }
+}
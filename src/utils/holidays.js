@@ -0,0 +1,40 @@
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseHolidayList(entries, source) {
+  const holidays = entries
+    .map(entry => entry.trim())
+    .filter(entry => entry && !entry.startsWith('#'));
+
+  const invalid = holidays.filter(entry => !DATE_ONLY_PATTERN.test(entry));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid holiday date(s) in ${source}: ${invalid.join(', ')} (expected YYYY-MM-DD)`);
+  }
+
+  return new Set(holidays);
+}
+
+// Accepts either a comma-separated list of dates or a path to a file holding
+// a JSON array of dates or one date per line
+export async function loadHolidays(value) {
+  if (!value) return new Set();
+
+  if (!existsSync(value)) {
+    return parseHolidayList(value.split(','), '--holidays');
+  }
+
+  const content = await readFile(value, 'utf8');
+  if (content.trim().startsWith('[')) {
+    let entries;
+    try {
+      entries = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Could not parse holiday file ${value}: ${error.message}`);
+    }
+    return parseHolidayList(entries.map(String), value);
+  }
+
+  return parseHolidayList(content.split(/\r?\n/), value);
+}
@@ -1,45 +1,151 @@
 import chalk from 'chalk';
 import ora from 'ora';
+import { closeSync, openSync, writeSync } from 'fs';
+import { stripVTControlCharacters } from 'util';
+import { sleep } from './retry.js';
+import { now } from './clock.js';
+
+// Most to least severe; a level shows itself and everything above it
+export const LOG_LEVELS = ['error', 'warn', 'info', 'verbose', 'debug'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const SYMBOLS = {
+  error: chalk.red('✗'),
+  warn: chalk.yellow('⚠'),
+  info: chalk.blue('ℹ'),
+  success: chalk.green('✓'),
+  verbose: chalk.gray('·'),
+  debug: chalk.gray('»')
+};
+
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+function isMoreSevere(level, threshold) {
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(threshold);
+}
 
 class Logger {
   constructor() {
     this.errors = [];
     this.spinner = null;
+    this.level = 'info';
+    this.format = 'text';
+    this.fileDescriptor = null;
+    this.interactive = Boolean(process.stderr.isTTY) && !process.env.CI;
   }
 
-  info(message) {
+  // Spinners only make sense on a terminal (ora draws them on stderr) and get
+  // in the way of JSON logs and --quiet. The log file keeps at least the
+  // info level, so a quiet scheduled run still leaves a full record.
+  configure({ level = 'info', format = 'text', file = null } = {}) {
+    this.stopProgress();
+    this.level = level;
+    this.format = format;
+    this.interactive = Boolean(process.stderr.isTTY) && !process.env.CI && format === 'text' && isMoreSevere('info', level);
+
+    if (this.fileDescriptor !== null) {
+      closeSync(this.fileDescriptor);
+      this.fileDescriptor = null;
+    }
+    if (file) {
+      try {
+        this.fileDescriptor = openSync(file, 'a');
+      } catch (error) {
+        throw new Error(`Could not open log file ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  isEnabled(level) {
+    return isMoreSevere(level, this.level);
+  }
+
+  // Whether human-readable output such as the console report is shown
+  isPrinting() {
+    return this.format === 'text' && this.isEnabled('info');
+  }
+
+  writeToFile(text) {
+    if (this.fileDescriptor !== null) {
+      writeSync(this.fileDescriptor, stripVTControlCharacters(text) + '\n');
+    }
+  }
+
+  toJson(level, message, fields) {
+    return JSON.stringify({ time: new Date().toISOString(), level, message: stripVTControlCharacters(message), ...fields });
+  }
+
+  writeToConsole(text) {
     if (this.spinner) this.spinner.stop();
-    console.log(chalk.blue('ℹ'), message);
+    console.log(text);
     if (this.spinner) this.spinner.start();
   }
 
+  // Writes one event to the console and the log file, each at its own level.
+  // `kind` only picks the symbol, so success is an info event.
+  log(level, message, { kind = level, fields = {} } = {}) {
+    if (this.fileDescriptor !== null && (isMoreSevere(level, this.level) || isMoreSevere(level, 'info'))) {
+      this.writeToFile(this.format === 'json'
+        ? this.toJson(level, message, fields)
+        : `${new Date().toISOString()} ${level.toUpperCase().padEnd(7)} ${message}`);
+    }
+    if (!this.isEnabled(level)) return;
+
+    this.writeToConsole(this.format === 'json' ? this.toJson(level, message, fields) : `${SYMBOLS[kind]} ${message}`);
+  }
+
+  // Output that is not an event, such as headings and the processing summary.
+  // JSON logs leave it out and --quiet hides it.
+  print(text = '') {
+    if (this.format !== 'text') return;
+    this.writeToFile(text);
+    if (this.isEnabled('info')) {
+      this.writeToConsole(text);
+    }
+  }
+
+  info(message) {
+    this.log('info', message);
+  }
+
   success(message) {
-    if (this.spinner) this.spinner.stop();
-    console.log(chalk.green('✓'), message);
-    if (this.spinner) this.spinner.start();
+    this.log('info', message, { kind: 'success' });
   }
 
   warning(message) {
-    if (this.spinner) this.spinner.stop();
-    console.log(chalk.yellow('⚠'), message);
-    if (this.spinner) this.spinner.start();
+    this.log('warn', message);
   }
 
   error(message, context = null) {
-    if (this.spinner) this.spinner.stop();
-    console.log(chalk.red('✗'), message);
+    this.log('error', message, { fields: context ? { context } : {} });
     
     const errorEntry = {
       message,
       context,
-      timestamp: new Date().toISOString()
+      timestamp: now().toISOString()
     };
     this.errors.push(errorEntry);
-    
-    if (this.spinner) this.spinner.start();
   }
 
+  verbose(message, fields = {}) {
+    this.log('verbose', message, { fields });
+  }
+
+  debug(message, fields = {}) {
+    this.log('debug', message, { fields });
+  }
+
+  // Without a spinner the step is logged once at the verbose level instead
   startProgress(message) {
+    if (!this.interactive) {
+      this.verbose(message);
+      return;
+    }
     this.spinner = ora({
       text: message,
       color: 'cyan'
@@ -59,16 +165,51 @@ class Logger {
     }
   }
 
-  progressWithPercentage(current, total, repoName = '') {
-    const percentage = Math.round((current / total) * 100);
+  progressWithPercentage(current, total, repoName = '', inFlight = 0) {
+    const percentage = total > 0 ? Math.round((current / total) * 100) : 100;
     const progress = `[${current}/${total}] ${percentage}%`;
-    const message = repoName 
-      ? `${progress} - Processing: ${chalk.cyan(repoName)}`
+    if (!this.spinner) {
+      this.verbose(repoName ? `${progress} - Processed: ${repoName}` : progress, { current, total, ...(repoName ? { repo: repoName } : {}) });
+      return;
+    }
+
+    let message = repoName 
+      ? `${progress} - Processed: ${chalk.cyan(repoName)}`
       : `${progress}`;
+
+    if (inFlight > 0) {
+      message += chalk.gray(` (${inFlight} in progress)`);
+    }
     
     this.updateProgress(message);
   }
 
+  // Shows a live countdown in the spinner while waiting, then restores whatever
+  // progress message was there before
+  async countdown(ms, message) {
+    const hadSpinner = Boolean(this.spinner);
+    const previousText = this.spinner?.text;
+    if (!hadSpinner) this.startProgress(message);
+
+    const end = Date.now() + ms;
+    while (Date.now() < end) {
+      this.updateProgress(`${message} - resuming in ${formatDuration(end - Date.now())}`);
+      await sleep(Math.min(1000, end - Date.now()));
+    }
+
+    if (hadSpinner) {
+      this.updateProgress(previousText);
+    } else {
+      this.stopProgress();
+    }
+  }
+
+  // Forgets the errors of a previous report when one process generates several
+  reset() {
+    this.stopProgress();
+    this.errors = [];
+  }
+
   getErrors() {
     return this.errors;
   }
@@ -77,21 +218,69 @@ class Logger {
     return this.errors.length > 0;
   }
 
-  printSummary() {
-    console.log('\n' + chalk.bold('='.repeat(50)));
-    console.log(chalk.bold('PROCESSING SUMMARY'));
-    console.log(chalk.bold('='.repeat(50)));
+  // JSON logs get the whole summary as one event
+  printSummary(apiUsage = null, deliveries = []) {
+    if (this.format === 'json') {
+      this.log('info', 'Processing summary', { fields: { apiUsage, deliveries, errors: this.errors } });
+      return;
+    }
+
+    this.print('\n' + chalk.bold('='.repeat(50)));
+    this.print(chalk.bold('PROCESSING SUMMARY'));
+    this.print(chalk.bold('='.repeat(50)));
+
+    if (apiUsage) {
+      this.print(`\nAPI calls made: ${chalk.cyan(apiUsage.apiCalls)}`);
+      if (apiUsage.rateLimit) {
+        const { remaining, limit, reset } = apiUsage.rateLimit;
+        this.print(`Rate limit remaining: ${chalk.cyan(`${remaining}/${limit}`)} (resets at ${reset.toLocaleTimeString()})`);
+      }
+      if (apiUsage.graphql) {
+        const { queries, points, costs, rateLimit } = apiUsage.graphql;
+        const budget = rateLimit ? ` (${rateLimit.remaining}/${rateLimit.limit} remaining, resets at ${rateLimit.reset.toLocaleTimeString()})` : '';
+        this.print(`GraphQL cost: ${chalk.cyan(points)} points for ${chalk.cyan(queries)} ${queries === 1 ? 'query' : 'queries'}${budget}`);
+        costs.forEach(cost => {
+          this.print(`  ${cost.kind}: ${cost.points} points for ${cost.queries} ${cost.queries === 1 ? 'query' : 'queries'}`);
+        });
+      }
+      if (apiUsage.cache) {
+        const { hits, revalidated, misses } = apiUsage.cache;
+        this.print(`Cache: ${chalk.cyan(hits)} fresh, ${chalk.cyan(revalidated)} revalidated (304), ${chalk.cyan(misses)} downloaded`);
+      }
+      if (apiUsage.recorded !== null) {
+        this.print(`Responses recorded: ${chalk.cyan(apiUsage.recorded)}`);
+      }
+      if (apiUsage.replayed !== null) {
+        this.print(`Responses replayed: ${chalk.cyan(apiUsage.replayed)}`);
+      }
+      if (apiUsage.unsupported?.length > 0) {
+        this.print('Not supported by the server:');
+        apiUsage.unsupported.forEach(({ feature, impact }) => {
+          this.print(`  ${chalk.yellow('⚠')} ${feature}${impact ? chalk.gray(` - ${impact}`) : ''}`);
+        });
+      }
+    }
+
+    if (deliveries.length > 0) {
+      this.print('Deliveries:');
+      deliveries.forEach(({ target, format, delivered, attempts, error }) => {
+        const tries = `${attempts} ${attempts === 1 ? 'attempt' : 'attempts'}`;
+        this.print(delivered
+          ? `  ${chalk.green('✓')} ${format} → ${target} ${chalk.gray(`(${tries})`)}`
+          : `  ${chalk.red('✗')} ${format} → ${target}: ${error} ${chalk.gray(`(${tries})`)}`);
+      });
+    }
     
     if (this.hasErrors()) {
-      console.log(chalk.red(`\n${this.errors.length} error(s) occurred:`));
+      this.print(chalk.red(`\n${this.errors.length} error(s) occurred:`));
       this.errors.forEach((error, index) => {
-        console.log(chalk.red(`${index + 1}. ${error.message}`));
+        this.print(chalk.red(`${index + 1}. ${error.message}`));
         if (error.context) {
-          console.log(chalk.gray(`   Context: ${error.context}`));
+          this.print(chalk.gray(`   Context: ${error.context}`));
         }
       });
     } else {
-      console.log(chalk.green('\n✓ All operations completed successfully!'));
+      this.print(chalk.green('\n✓ All operations completed successfully!'));
     }
   }
 }
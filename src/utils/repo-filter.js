@@ -0,0 +1,146 @@
+import { readFile } from 'fs/promises';
+import { now as clockNow } from './clock.js';
+
+export const TRI_STATE_CHOICES = ['include', 'exclude', 'only'];
+export const VISIBILITY_CHOICES = ['public', 'private', 'internal'];
+
+const CRITERIA_KEYS = ['include', 'exclude', 'topics', 'languages', 'visibility', 'forks', 'archived', 'pushedWithinDays'];
+const LIST_KEYS = ['include', 'exclude', 'topics', 'languages'];
+
+// Turns a glob such as "api-*" or "my-org/**" into a regular expression.
+// "*" and "?" stay within one path segment, "**" crosses segments.
+export function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+// Patterns with a slash match owner/name, others match the bare repository name
+function matchesAnyGlob(repo, globs) {
+  return globs.some(glob => {
+    const target = glob.includes('/') ? repo.full_name : repo.name;
+    return globToRegExp(glob).test(target);
+  });
+}
+
+function matchesTriState(value, setting) {
+  if (setting === 'exclude') return !value;
+  if (setting === 'only') return Boolean(value);
+  return true;
+}
+
+function getVisibility(repo) {
+  return repo.visibility || (repo.private ? 'private' : 'public');
+}
+
+export function validateFilterCriteria(criteria, source) {
+  const unknown = Object.keys(criteria).filter(key => !CRITERIA_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown filter setting(s) in ${source}: ${unknown.join(', ')} (expected ${CRITERIA_KEYS.join(', ')})`);
+  }
+
+  LIST_KEYS.forEach(key => {
+    if (criteria[key] !== undefined && (!Array.isArray(criteria[key]) || criteria[key].some(item => typeof item !== 'string'))) {
+      throw new Error(`Filter setting "${key}" in ${source} must be a list of strings`);
+    }
+  });
+
+  ['forks', 'archived'].forEach(key => {
+    if (criteria[key] !== undefined && !TRI_STATE_CHOICES.includes(criteria[key])) {
+      throw new Error(`Filter setting "${key}" in ${source} must be one of ${TRI_STATE_CHOICES.join(', ')}`);
+    }
+  });
+
+  if (criteria.visibility !== undefined && !VISIBILITY_CHOICES.includes(criteria.visibility)) {
+    throw new Error(`Filter setting "visibility" in ${source} must be one of ${VISIBILITY_CHOICES.join(', ')}`);
+  }
+
+  if (criteria.pushedWithinDays !== undefined && (!Number.isInteger(criteria.pushedWithinDays) || criteria.pushedWithinDays < 1)) {
+    throw new Error(`Filter setting "pushedWithinDays" in ${source} must be a positive whole number`);
+  }
+
+  return criteria;
+}
+
+export async function loadFilterConfig(path) {
+  let content;
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read filter file ${path}: ${error.message}`);
+  }
+
+  let criteria;
+  try {
+    criteria = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse filter file ${path}: ${error.message}`);
+  }
+
+  if (criteria === null || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    throw new Error(`Filter file ${path} must contain a JSON object`);
+  }
+
+  return validateFilterCriteria(criteria, path);
+}
+
+// Settings given on the command line replace the same setting from the file
+export function mergeFilterCriteria(fileCriteria, cliCriteria) {
+  const merged = { ...fileCriteria };
+  Object.entries(cliCriteria).forEach(([key, value]) => {
+    const isEmptyList = Array.isArray(value) && value.length === 0;
+    if (value !== undefined && !isEmptyList) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+export function hasFilterCriteria(criteria) {
+  return Object.values(criteria).some(value => (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== 'include'));
+}
+
+// Builds a predicate over raw GitHub repository objects. It only reads fields
+// the repository listing already returns, so no per-repo requests are needed.
+export function createRepoFilter(criteria, now = clockNow()) {
+  const {
+    include = [],
+    exclude = [],
+    topics = [],
+    languages = [],
+    visibility,
+    forks = 'include',
+    archived = 'include',
+    pushedWithinDays
+  } = criteria;
+
+  const wantedTopics = topics.map(topic => topic.toLowerCase());
+  const wantedLanguages = languages.map(language => language.toLowerCase());
+  const pushedAfter = pushedWithinDays
+    ? new Date(now.getTime() - pushedWithinDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  return repo => {
+    if (include.length > 0 && !matchesAnyGlob(repo, include)) return false;
+    if (exclude.length > 0 && matchesAnyGlob(repo, exclude)) return false;
+    if (wantedTopics.length > 0 && !(repo.topics || []).some(topic => wantedTopics.includes(topic.toLowerCase()))) return false;
+    if (wantedLanguages.length > 0 && !wantedLanguages.includes((repo.language || '').toLowerCase())) return false;
+    if (visibility && getVisibility(repo) !== visibility) return false;
+    if (!matchesTriState(repo.fork, forks)) return false;
+    if (!matchesTriState(repo.archived, archived)) return false;
+    if (pushedAfter && (!repo.pushed_at || new Date(repo.pushed_at) < pushedAfter)) return false;
+    return true;
+  };
+}
@@ -0,0 +1,61 @@
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET'];
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getHeader(error, name) {
+  return error.response?.headers?.[name];
+}
+
+// GitHub signals secondary rate limits with a 403 (sometimes 429) plus either
+// a retry-after header or a message mentioning the limit
+export function isSecondaryRateLimit(error) {
+  if (error.status !== 403 && error.status !== 429) return false;
+  return Boolean(getHeader(error, 'retry-after')) || /secondary rate limit|abuse/i.test(error.message || '');
+}
+
+export function isRetryableError(error) {
+  if (error.status >= 500 || error.status === 429) return true;
+  if (isSecondaryRateLimit(error)) return true;
+
+  // Only network errors have no status; reading code on an HTTP error logs a deprecation warning
+  if (error.status) return false;
+  const code = error.code || error.cause?.code;
+  return RETRYABLE_NETWORK_CODES.includes(code);
+}
+
+// Exponential backoff with full jitter, unless GitHub said how long to wait
+export function getRetryDelay(error, attempt, { baseDelayMs, maxDelayMs, random = Math.random }) {
+  const retryAfter = Number(getHeader(error, 'retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+export async function withRetry(operation, {
+  retries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  onRetry = () => {},
+  // Tests replace the clock and the dice
+  wait = sleep,
+  random = Math.random
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, { baseDelayMs, maxDelayMs, random });
+      onRetry(error, attempt + 1, delay);
+      await wait(delay);
+    }
+  }
+}
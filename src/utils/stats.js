@@ -0,0 +1,38 @@
+// Linear-interpolation quantile of a list of numbers (q between 0 and 1)
+export function quantile(values, q) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+export function median(values) {
+  return quantile(values, 0.5);
+}
+
+// Items whose value lies above the upper Tukey fence (Q3 + 1.5 × IQR). Small
+// samples have no meaningful spread, so fewer than four values yield none.
+export function findHighOutliers(items, getValue) {
+  const values = items.map(getValue).filter(value => value !== null && value !== undefined);
+  if (values.length < 4) return [];
+
+  const q1 = quantile(values, 0.25);
+  const q3 = quantile(values, 0.75);
+  const fence = q3 + 1.5 * (q3 - q1);
+  return items.filter(item => {
+    const value = getValue(item);
+    return value !== null && value !== undefined && value > fence;
+  });
+}
+
+// Durations as a short human-readable string: "45m", "3h 20m", "2d 4h"
+export function formatElapsed(ms) {
+  if (ms === null || ms === undefined) return '–';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
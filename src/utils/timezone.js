@@ -0,0 +1,119 @@
+const formatterCache = new Map();
+
+function getPartsFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// Offset of the zone from UTC at the given instant, in milliseconds
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(new Date(date).getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock time in the zone refers to. Times skipped by a DST
+// transition land just after it, like a clock set forward by hand.
+export function zonedDateTime(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstOffset = getTimeZoneOffset(guess, timeZone);
+  const correctedOffset = getTimeZoneOffset(guess - firstOffset, timeZone);
+  if (correctedOffset === firstOffset) return new Date(guess - firstOffset);
+
+  // A DST transition between the guess and the result shifts the offset. If
+  // the corrected offset doesn't give back the wall-clock time either, the
+  // time falls in the gap, and the offset from before the transition (the
+  // smaller one, as clocks go forward) carries it past the gap.
+  const corrected = guess - correctedOffset;
+  const parts = getZonedParts(corrected, timeZone);
+  if (parts.day === day && parts.hour === hour && parts.minute === minute) return new Date(corrected);
+  return new Date(guess - Math.min(firstOffset, correctedOffset));
+}
+
+export function zonedMidnight(year, month, day, timeZone) {
+  return zonedDateTime(year, month, day, 0, 0, timeZone);
+}
+
+export function startOfZonedDay(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedMidnight(year, month, day, timeZone);
+}
+
+export function addZonedDays(date, days, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return zonedMidnight(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate(), timeZone);
+}
+
+export function toZonedDateKey(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export function formatZonedDate(date, timeZone) {
+  return new Date(date).toLocaleDateString('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+// Same shape as Date#toDateString(), e.g. "Fri Sep 12 2025", but in the given zone
+export function toZonedDateString(date, timeZone) {
+  return new Date(date).toLocaleDateString('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: '2-digit'
+  }).replace(/,/g, '');
+}
+
+export function formatZonedDateTime(date, timeZone) {
+  return new Date(date).toLocaleString(undefined, { timeZone });
+}
@@ -0,0 +1,48 @@
+import { readFile } from 'fs/promises';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/;
+
+function parseUsernames(entries, source) {
+  const usernames = entries
+    .map(entry => entry.trim())
+    .filter(entry => entry && !entry.startsWith('#'));
+
+  const invalid = usernames.filter(username => !USERNAME_PATTERN.test(username));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid GitHub username(s) in ${source}: ${invalid.join(', ')}`);
+  }
+
+  return usernames;
+}
+
+// Collects usernames from --username, --users and --users-file, keeping the
+// order they were given in and dropping duplicates (GitHub logins are case-insensitive)
+export async function resolveUsernames({ username, users, usersFile }) {
+  const usernames = [];
+
+  if (username) {
+    usernames.push(...parseUsernames([username], '--username'));
+  }
+
+  if (users) {
+    usernames.push(...parseUsernames(users.split(','), '--users'));
+  }
+
+  if (usersFile) {
+    let content;
+    try {
+      content = await readFile(usersFile, 'utf8');
+    } catch (error) {
+      throw new Error(`Could not read users file ${usersFile}: ${error.message}`);
+    }
+    usernames.push(...parseUsernames(content.split(/\r?\n/), usersFile));
+  }
+
+  const seen = new Set();
+  return usernames.filter(name => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
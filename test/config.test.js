@@ -0,0 +1,87 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Command, Option } from 'commander';
+import { loadConfig, applyConfig, hasHigherPrecedence } from '../src/utils/config.js';
+
+const collect = (value, previous) => previous.concat([value]);
+
+function createCommand() {
+  return new Command()
+    .exitOverride()
+    .option('-o, --output <file>', 'Output file', 'report.md')
+    .option('--concurrency <n>', 'Requests in flight', value => parseInt(value, 10), 5)
+    .option('--no-cache', 'Disable the cache')
+    .option('--verbose', 'More output')
+    .option('--repo <name>', 'Repository (repeatable)', collect, [])
+    .addOption(new Option('-f, --format <format>', 'Output format').choices(['markdown', 'json']).default('markdown'));
+}
+
+describe('config files', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'github-report-config-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  async function load(settings) {
+    const path = join(dir, `${Math.random().toString(36).slice(2)}.json`);
+    await writeFile(path, typeof settings === 'string' ? settings : JSON.stringify(settings));
+    return loadConfig(path);
+  }
+
+  it('fills in what the command line left at its default', async () => {
+    const command = createCommand().parse(['--format', 'json'], { from: 'user' });
+    const applied = applyConfig(command, await load({ format: 'markdown', concurrency: 2, cache: false, verbose: true }));
+
+    assert.deepEqual(applied, ['concurrency', 'cache', 'verbose']);
+    assert.equal(command.opts().format, 'json');
+    assert.equal(command.opts().concurrency, 2);
+    assert.equal(command.opts().cache, false);
+    assert.equal(command.opts().verbose, true);
+    assert.equal(command.getOptionValueSource('concurrency'), 'config');
+  });
+
+  it('resolves paths against the config file', async () => {
+    const command = createCommand().parse([], { from: 'user' });
+    applyConfig(command, await load({ output: 'out/report.md' }));
+    assert.equal(command.opts().output, join(dir, 'out/report.md'));
+  });
+
+  it('takes a list for repeatable options', async () => {
+    const command = createCommand().parse([], { from: 'user' });
+    applyConfig(command, await load({ repo: ['octo/alpha', 'octo/beta'] }));
+    assert.deepEqual(command.opts().repo, ['octo/alpha', 'octo/beta']);
+  });
+
+  it('rejects invalid settings', async () => {
+    const command = createCommand().parse([], { from: 'user' });
+    await assert.rejects(async () => applyConfig(command, await load({ fromat: 'json' })), /Unknown config setting "fromat" .*expected one of output, concurrency, cache, verbose, repo, format/);
+    await assert.rejects(async () => applyConfig(command, await load({ token: 'secret' })), /"token" .* is not supported/);
+    await assert.rejects(async () => applyConfig(command, await load({ format: 'html' })), /must be one of markdown, json/);
+    await assert.rejects(async () => applyConfig(command, await load({ cache: 'no' })), /must be true or false/);
+    await assert.rejects(() => load('[1, 2]'), /must contain a JSON object/);
+    await assert.rejects(() => load('{'), /Could not parse config file/);
+  });
+
+  it('only applies the requested keys', async () => {
+    const command = createCommand().parse([], { from: 'user' });
+    assert.deepEqual(applyConfig(command, await load({ output: 'x.md', concurrency: 1 }), { keys: ['concurrency'] }), ['concurrency']);
+    assert.equal(command.opts().output, 'report.md');
+  });
+});
+
+describe('hasHigherPrecedence', () => {
+  it('ranks cli over env over config over defaults', () => {
+    assert.equal(hasHigherPrecedence('cli', 'env'), true);
+    assert.equal(hasHigherPrecedence('env', 'config'), true);
+    assert.equal(hasHigherPrecedence('config', undefined), true);
+    assert.equal(hasHigherPrecedence('config', 'env'), false);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronSchedule, CronError } from '../src/utils/cron.js';
+
+const at = iso => new Date(iso);
+
+describe('CronSchedule parsing', () => {
+  it('rejects malformed expressions', () => {
+    assert.throws(() => new CronSchedule('0 9 * *', 'UTC'), CronError);
+    assert.throws(() => new CronSchedule('60 9 * * *', 'UTC'), /minute 60 is outside 0-59/);
+    assert.throws(() => new CronSchedule('0 9 * * FRI-MON', 'UTC'), /runs backwards/);
+    assert.throws(() => new CronSchedule('*/0 * * * *', 'UTC'), CronError);
+    assert.throws(() => new CronSchedule('0 0 1 * BLAH', 'UTC'), /"BLAH" is not a valid day of week/);
+  });
+
+  it('rejects schedules that never run', () => {
+    assert.throws(() => new CronSchedule('0 0 30 2 *', 'UTC'), /it never runs/);
+  });
+
+  it('accepts presets, names and 7 for Sunday', () => {
+    assert.equal(new CronSchedule('@daily', 'UTC').next(at('2026-10-19T10:00:00Z')).toISOString(), '2026-10-20T00:00:00.000Z');
+    const sunday = new CronSchedule('0 12 * jan-dec 7', 'UTC');
+    assert.equal(sunday.next(at('2026-10-19T10:00:00Z')).toISOString(), '2026-10-25T12:00:00.000Z');
+  });
+});
+
+describe('CronSchedule.next and previous', () => {
+  it('runs on weekdays in the schedule time zone', () => {
+    const schedule = new CronSchedule('0 9 * * 1-5', 'Europe/Berlin');
+    // Friday 10:00 Berlin time; the next run is Monday 09:00
+    assert.equal(schedule.next(at('2026-10-16T08:00:00Z')).toISOString(), '2026-10-19T07:00:00.000Z');
+    assert.equal(schedule.previous(at('2026-10-19T07:00:00Z')).toISOString(), '2026-10-16T07:00:00.000Z');
+  });
+
+  it('is strictly after and before the given instant', () => {
+    const schedule = new CronSchedule('*/15 * * * *', 'UTC');
+    assert.equal(schedule.next(at('2026-10-19T10:15:00Z')).toISOString(), '2026-10-19T10:30:00.000Z');
+    assert.equal(schedule.previous(at('2026-10-19T10:15:00Z')).toISOString(), '2026-10-19T10:00:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 13th, or any Friday
+    const schedule = new CronSchedule('0 0 13 * 5', 'UTC');
+    assert.equal(schedule.next(at('2026-10-10T00:00:00Z')).toISOString(), '2026-10-13T00:00:00.000Z');
+    assert.equal(schedule.next(at('2026-10-13T00:00:00Z')).toISOString(), '2026-10-16T00:00:00.000Z');
+  });
+
+  it('finds rare dates such as 29 February', () => {
+    assert.equal(new CronSchedule('0 0 29 2 *', 'UTC').next(at('2026-10-19T00:00:00Z')).toISOString(), '2028-02-29T00:00:00.000Z');
+  });
+
+  it('runs a time skipped when DST starts just after the gap', () => {
+    const schedule = new CronSchedule('30 2 * * *', 'America/New_York');
+    // 03:30 EDT on the day clocks go forward, then 02:30 EDT as usual
+    assert.equal(schedule.next(at('2026-03-08T05:00:00Z')).toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.equal(schedule.next(at('2026-03-08T07:30:00Z')).toISOString(), '2026-03-09T06:30:00.000Z');
+    assert.equal(schedule.previous(at('2026-03-08T12:00:00Z')).toISOString(), '2026-03-08T07:30:00.000Z');
+  });
+
+  it('runs the repeated hour once when DST ends', () => {
+    const schedule = new CronSchedule('30 1 * * *', 'America/New_York');
+    assert.equal(schedule.next(at('2026-11-01T04:00:00Z')).toISOString(), '2026-11-01T05:30:00.000Z');
+    assert.equal(schedule.next(at('2026-11-01T05:30:00Z')).toISOString(), '2026-11-02T06:30:00.000Z');
+  });
+});
+
+describe('CronSchedule.isAtMostDaily', () => {
+  it('is true for one run a day at most', () => {
+    assert.equal(new CronSchedule('0 9 * * 1-5', 'UTC').isAtMostDaily(), true);
+    assert.equal(new CronSchedule('0 9,17 * * *', 'UTC').isAtMostDaily(), false);
+    assert.equal(new CronSchedule('@hourly', 'UTC').isAtMostDaily(), false);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+
+const run = promisify(execFile);
+const cli = fileURLToPath(new URL('../src/index.js', import.meta.url));
+const recordings = fileURLToPath(new URL('./fixtures/recordings/', import.meta.url));
+
+// Replays a recorded run offline; the clock, time zone and API URL come from
+// the recording's manifest
+async function replay(dir, name, args = []) {
+  const output = `${dir}/${name}.json`;
+  const env = { ...process.env, XDG_CACHE_HOME: dir, XDG_DATA_HOME: dir };
+  delete env.GITHUB_TOKEN;
+
+  const { stdout } = await run(process.execPath, [
+    cli, '--replay', recordings + name,
+    '--no-config', '--no-history', '--no-cache', '--no-code-changes', '--no-pr-metrics', '--no-attention',
+    '-f', 'json', '-o', output, '--log-format', 'json', ...args
+  ], { env, timeout: 60000 });
+
+  const logs = stdout.trim().split('\n').map(line => JSON.parse(line));
+  return { report: JSON.parse(await readFile(output, 'utf8')), logs };
+}
+
+describe('replayed reports', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(`${tmpdir()}/github-report-replay-`);
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('builds a user report from the REST API', async () => {
+    const { report, logs } = await replay(dir, 'rest');
+
+    assert.equal(report.username, 'octo');
+    assert.equal(report.generatedAt, '2026-10-19T16:29:45.281Z');
+    assert.deepEqual(report.window, {
+      start: '2026-10-18T00:00:00.000Z',
+      end: '2026-10-19T00:00:00.000Z',
+      label: 'yesterday',
+      description: 'Sun Oct 18 2026',
+      timeZone: 'UTC'
+    });
+    // The same PR opened twice is listed once, and the review two days ago is left out
+    assert.deepEqual(report.activities.map(activity => [activity.type, activity.title, activity.repoName]), [
+      ['pr_created', 'Add retries', 'octo/alpha'],
+      ['pr_merged', 'Fix docs', 'octo/alpha'],
+      ['issue_commented', 'Comment on: Crash on start', 'octo/beta'],
+      ['pushed', 'Pushed 2 commits to main', 'octo/alpha']
+    ]);
+    assert.equal(report.activities[3].url, 'https://github.com/octo/alpha/compare/aaa111...bbb222');
+    assert.deepEqual(report.projects.map(project => [project.fullName, project.active, project.lastPR?.title ?? null]), [
+      ['octo/alpha', true, 'Latest in alpha'],
+      ['octo/beta', true, null]
+    ]);
+
+    const summary = logs.find(log => log.message === 'Processing summary');
+    assert.equal(summary.apiUsage.replayed, 6);
+    assert.equal(summary.apiUsage.apiCalls, 0);
+    assert.deepEqual(summary.errors, []);
+  });
+
+  it('builds a user report from paginated GraphQL queries', async () => {
+    const { report, logs } = await replay(dir, 'graphql', ['--backend', 'graphql']);
+
+    // "Old but merged" was opened before the window, and merges by teammates are left out
+    assert.deepEqual(report.activities.map(activity => [activity.type, activity.title, activity.date]), [
+      ['pr_merged', 'Old but merged', '2026-10-18T16:00:00.000Z'],
+      ['pushed', 'Pushed 2 commits to the default branch', '2026-10-18T15:00:00.000Z'],
+      ['pr_merged', 'Add retries', '2026-10-18T14:00:00.000Z'],
+      ['pr_created', 'Add retries', '2026-10-18T13:00:00.000Z'],
+      ['pr_created', 'Second PR', '2026-10-18T12:00:00.000Z'],
+      ['issue_opened', 'Crash on start', '2026-10-18T11:00:00.000Z'],
+      ['issue_commented', 'Comment on: Crash on start', '2026-10-18T11:00:00.000Z']
+    ]);
+    assert.deepEqual(report.projects.map(project => [project.fullName, project.lastPR?.title ?? null]), [
+      ['octo/alpha', 'Latest in alpha'],
+      ['octo/beta', null]
+    ]);
+
+    const { apiUsage } = logs.find(log => log.message === 'Processing summary');
+    assert.deepEqual(apiUsage.graphql.costs.map(({ kind, queries }) => [kind, queries]), [
+      ['repositories', 2],
+      ['contributions', 2],
+      ['merges', 2],
+      ['comments', 1]
+    ]);
+  });
+
+  it('fails on a request that was never recorded', async () => {
+    await assert.rejects(replay(dir, 'rest', ['--username', 'someone-else']), error => {
+      assert.notEqual(error.code, 0);
+      assert.match(error.stdout, /No recorded response for GET https:\/\/api.github.com\/users\/someone-else\/repos/);
+      return true;
+    });
+  });
+});
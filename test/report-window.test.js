@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReportWindow } from '../src/models/report-window.model.js';
+
+const window = (options, now) => ReportWindow.fromOptions(options, new Date(now));
+const range = ({ start, end }) => [start.toISOString(), end.toISOString()];
+
+describe('ReportWindow.fromOptions', () => {
+  it('covers yesterday in the report time zone', () => {
+    const yesterday = window({ timeZone: 'Asia/Kolkata' }, '2026-10-19T09:00:00Z');
+    assert.deepEqual(range(yesterday), ['2026-10-17T18:30:00.000Z', '2026-10-18T18:30:00.000Z']);
+    assert.equal(yesterday.label, 'yesterday');
+    assert.equal(yesterday.getRangeDescription(), 'Sun Oct 18 2026');
+  });
+
+  it('starts a day that begins with a DST gap at its first instant', () => {
+    // Santiago skips from 23:59:59 on 5 September straight to 01:00 on the 6th
+    const yesterday = window({ timeZone: 'America/Santiago' }, '2026-09-07T15:00:00Z');
+    assert.deepEqual(range(yesterday), ['2026-09-06T04:00:00.000Z', '2026-09-07T03:00:00.000Z']);
+    assert.equal(yesterday.getRangeDescription(), 'Sun Sep 06 2026');
+    assert.equal(yesterday.contains(new Date('2026-09-06T03:59:59Z')), false);
+
+    const explicit = window({ timeZone: 'America/Santiago', since: '2026-09-06', until: '2026-09-06' }, '2026-09-07T15:00:00Z');
+    assert.deepEqual(range(explicit), range(yesterday));
+  });
+
+  it('goes back over weekends and holidays to the previous working day', () => {
+    const workday = window({ period: 'workday', timeZone: 'America/Santiago', holidays: new Set(['2026-09-04']) }, '2026-09-07T15:00:00Z');
+    assert.deepEqual(range(workday), ['2026-09-03T04:00:00.000Z', '2026-09-07T03:00:00.000Z']);
+    assert.equal(workday.label, 'previous working day');
+  });
+
+  it('counts whole days back from today', () => {
+    const week = window({ period: 'week', timeZone: 'UTC' }, '2026-10-19T09:00:00Z');
+    assert.deepEqual(range(week), ['2026-10-12T00:00:00.000Z', '2026-10-19T00:00:00.000Z']);
+    assert.equal(window({ days: 3, timeZone: 'UTC' }, '2026-10-19T09:00:00Z').label, 'last 3 days');
+  });
+
+  it('rejects invalid windows', () => {
+    assert.throws(() => window({ period: 'year' }, '2026-10-19T09:00:00Z'), /Unknown period: year/);
+    assert.throws(() => window({ days: 0 }, '2026-10-19T09:00:00Z'), /Invalid value for --days/);
+    assert.throws(() => window({ since: '2026-10-19', until: '2026-10-18', timeZone: 'UTC' }, '2026-10-19T09:00:00Z'), /window is empty/);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry, getRetryDelay, isRetryableError, isSecondaryRateLimit } from '../src/utils/retry.js';
+
+const httpError = (status, headers = {}, message = 'failed') => Object.assign(new Error(message), { status, response: { headers } });
+const networkError = code => Object.assign(new Error('fetch failed'), { cause: { code } });
+
+// Fails with the given errors in turn, then resolves
+function failing(...errors) {
+  const attempts = [];
+  const operation = async attempt => {
+    attempts.push(attempt);
+    if (attempts.length <= errors.length) throw errors[attempts.length - 1];
+    return 'done';
+  };
+  return { operation, attempts };
+}
+
+describe('isRetryableError', () => {
+  it('retries server errors, rate limits and network failures', () => {
+    assert.equal(isRetryableError(httpError(502)), true);
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(403, { 'retry-after': '5' })), true);
+    assert.equal(isRetryableError(httpError(403, {}, 'You have exceeded a secondary rate limit')), true);
+    assert.equal(isRetryableError(networkError('ECONNRESET')), true);
+  });
+
+  it('gives up on client errors', () => {
+    assert.equal(isRetryableError(httpError(404)), false);
+    assert.equal(isRetryableError(httpError(403, {}, 'Resource not accessible')), false);
+    assert.equal(isSecondaryRateLimit(httpError(401, { 'retry-after': '5' })), false);
+    assert.equal(isRetryableError(new TypeError('bad input')), false);
+  });
+});
+
+describe('getRetryDelay', () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 30000 };
+
+  it('jitters up to an exponentially growing ceiling', () => {
+    assert.equal(getRetryDelay(httpError(500), 0, { ...options, random: () => 1 }), 1000);
+    assert.equal(getRetryDelay(httpError(500), 3, { ...options, random: () => 1 }), 8000);
+    assert.equal(getRetryDelay(httpError(500), 3, { ...options, random: () => 0.5 }), 4000);
+    assert.equal(getRetryDelay(httpError(500), 10, { ...options, random: () => 1 }), 30000);
+    assert.equal(getRetryDelay(httpError(500), 2, { ...options, random: () => 0 }), 0);
+  });
+
+  it('waits as long as retry-after says', () => {
+    assert.equal(getRetryDelay(httpError(429, { 'retry-after': '7' }), 0, { ...options, random: () => 0 }), 7000);
+  });
+});
+
+describe('withRetry', () => {
+  it('backs off between attempts until the operation succeeds', async () => {
+    const { operation, attempts } = failing(httpError(500), networkError('ETIMEDOUT'));
+    const waits = [];
+    const retries = [];
+
+    const result = await withRetry(operation, {
+      random: () => 1,
+      wait: async ms => waits.push(ms),
+      onRetry: (error, attempt, delay) => retries.push([error.status ?? error.cause.code, attempt, delay])
+    });
+
+    assert.equal(result, 'done');
+    assert.deepEqual(attempts, [0, 1, 2]);
+    assert.deepEqual(waits, [1000, 2000]);
+    assert.deepEqual(retries, [[500, 1, 1000], ['ETIMEDOUT', 2, 2000]]);
+  });
+
+  it('gives up after the last retry with the last error', async () => {
+    const errors = [httpError(500), httpError(502), httpError(503)];
+    const { operation, attempts } = failing(...errors);
+    const waits = [];
+
+    await assert.rejects(
+      withRetry(operation, { retries: 2, baseDelayMs: 10, random: () => 1, wait: async ms => waits.push(ms) }),
+      error => error === errors[2]
+    );
+    assert.deepEqual(attempts, [0, 1, 2]);
+    assert.deepEqual(waits, [10, 20]);
+  });
+
+  it('does not retry errors that would fail again', async () => {
+    const { operation, attempts } = failing(httpError(404));
+    const waits = [];
+
+    await assert.rejects(withRetry(operation, { wait: async ms => waits.push(ms) }), { status: 404 });
+    assert.deepEqual(attempts, [0]);
+    assert.deepEqual(waits, []);
+  });
+});
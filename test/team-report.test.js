@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubReport, TeamReport, ProjectSummary, Activity } from '../src/models/report.model.js';
+import { ReportWindow } from '../src/models/report-window.model.js';
+import { AttentionItem } from '../src/models/attention.model.js';
+import { generateTeamMarkdownReport } from '../src/renderers/markdown.renderer.js';
+import { serializeTeamReport } from '../src/renderers/json.renderer.js';
+import { buildWebhookPayload } from '../src/renderers/webhook.renderer.js';
+
+const window = new ReportWindow('2026-10-18T00:00:00Z', '2026-10-19T00:00:00Z', 'yesterday', 'UTC');
+
+function member(username, attentionItems) {
+  const report = new GitHubReport(username, window);
+  if (attentionItems) report.setAttentionItems(attentionItems.map(item => new AttentionItem(item)));
+  return report;
+}
+
+describe('TeamReport.getAttentionItems', () => {
+  const review = { reason: 'review_requested', title: 'Shared', url: 'https://github.com/o/r/pull/1', repoName: 'o/r' };
+
+  it('lists a pull request waiting on several members once', () => {
+    const team = new TeamReport(window);
+    team.addMember(member('alice', [
+      { ...review, waitingSince: '2026-10-17T00:00:00Z' },
+      { ...review, reason: 'stale', waitingSince: '2026-10-01T00:00:00Z' }
+    ]));
+    team.addMember(member('bob', [{ ...review, waitingSince: '2026-10-15T00:00:00Z' }]));
+    team.addMember(member('carol', []));
+
+    const items = team.getAttentionItems();
+    assert.deepEqual(items.map(item => [item.reason, item.waitingOn, item.waitingSince.toISOString()]), [
+      ['review_requested', ['alice', 'bob'], '2026-10-15T00:00:00.000Z'],
+      ['stale', ['alice'], '2026-10-01T00:00:00.000Z']
+    ]);
+    // The members' own items are left as they were
+    assert.equal(team.members[0].attentionItems[0].waitingOn, null);
+  });
+
+  it('is listed once for the team in JSON and webhooks', () => {
+    const team = new TeamReport(window);
+    team.addMember(member('alice', [{ ...review, waitingSince: '2026-10-17T00:00:00Z' }]));
+    team.addMember(member('bob', [{ ...review, waitingSince: '2026-10-15T00:00:00Z' }]));
+
+    const { attention, members } = serializeTeamReport(team);
+    assert.deepEqual(attention.map(item => [item.url, item.waitingOn, item.waitingSince]), [
+      ['https://github.com/o/r/pull/1', ['alice', 'bob'], '2026-10-15T00:00:00.000Z']
+    ]);
+    assert.equal('waitingOn' in members[0].attention[0], false);
+
+    const { blocks } = buildWebhookPayload(team, { format: 'slack', isTeam: true });
+    const fields = blocks.flatMap(block => block.fields || []).map(field => field.text);
+    assert.ok(fields.includes('*Needs Attention*\n1'));
+  });
+
+  it('is null when attention items were not collected', () => {
+    const team = new TeamReport(window);
+    team.addMember(member('alice', null));
+    assert.equal(team.getAttentionItems(), null);
+  });
+});
+
+describe('team markdown report', () => {
+  it('totals every kind of activity the team had per person', () => {
+    const withActivities = (username, types) => {
+      const report = member(username, null);
+      const project = new ProjectSummary('r', '', 'https://github.com/o/r', null, null, 'o');
+      types.forEach(type => project.addActivity(new Activity(type, type, 'https://github.com/o/r', '2026-10-18T10:00:00Z', 'o/r')));
+      report.addProject(project);
+      return report;
+    };
+    const team = new TeamReport(window);
+    team.addMember(withActivities('alice', ['pr_created', 'pr_merged', 'pushed']));
+    team.addMember(withActivities('bob', ['issue_opened']));
+
+    const table = generateTeamMarkdownReport(team).split('\n').filter(line => line.startsWith('| ') && !line.startsWith('| -'));
+    assert.deepEqual(table, [
+      '| Member | PRs Created | PRs Merged | Issues Opened | Pushes | Total Activities | Active Repositories |',
+      '| alice | 1 | 1 | 0 | 1 | 3 | 1 |',
+      '| bob | 0 | 0 | 1 | 0 | 1 | 1 |'
+    ]);
+  });
+});
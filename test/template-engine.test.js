@@ -0,0 +1,102 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { compileTemplate, TemplateError } from '../src/templates/template-engine.js';
+import { freezeClock, unfreezeClock } from '../src/utils/clock.js';
+import { GitHubReport, ProjectSummary, Activity, PullRequest } from '../src/models/report.model.js';
+import { ReportWindow } from '../src/models/report-window.model.js';
+import { AttentionItem } from '../src/models/attention.model.js';
+import { generateMarkdownReport } from '../src/renderers/markdown.renderer.js';
+
+const render = (text, context = {}, variables = Object.keys(context)) =>
+  compileTemplate(text, { source: 'test.tpl', variables }).render(context);
+
+function assertTemplateError(text, message, variables = []) {
+  assert.throws(() => compileTemplate(text, { source: 'test.tpl', variables }), error => {
+    assert.ok(error instanceof TemplateError);
+    assert.equal(error.message, message);
+    return true;
+  });
+}
+
+describe('template errors', () => {
+  it('points at a closing tag that does not match', () => {
+    assertTemplateError('{{#if a}}\nyes\n{{/iff}}\n', 'test.tpl:3: {{/iff}} does not match {{#if}} opened at line 1', ['a']);
+  });
+
+  it('reports unterminated tags', () => {
+    assertTemplateError('line\n{{ a', 'test.tpl:2: Unterminated "{{" (missing "}}")', ['a']);
+    assertTemplateError('{{ a {{ b }}', 'test.tpl:1: Unterminated "{{" (missing "}}")', ['a', 'b']);
+  });
+
+  it('reports a second {{else}}', () => {
+    assertTemplateError('{{#if a}}\n{{else}}\n{{else}}\n{{/if}}', 'test.tpl:3: Duplicate {{else}} in {{#if}} opened at line 1', ['a']);
+  });
+
+  it('reports unknown variables with the ones available', () => {
+    assertTemplateError('\n\n{{ summry.totalRepos }}', 'test.tpl:3: Unknown variable "summry" (available: summary, window)', ['summary', 'window']);
+  });
+
+  it('reports blocks that are never closed', () => {
+    assertTemplateError('{{#each items as item}}\n{{ item }}', 'test.tpl:1: {{#each}} is never closed (missing {{/each}})', ['items']);
+  });
+
+  it('only allows loop variables inside loops', () => {
+    assertTemplateError('{{ @index }}', 'test.tpl:1: "@index" can only be used inside {{#each}}');
+  });
+
+  it('rejects something other than a list in {{#each}}', () => {
+    assert.throws(() => render('{{#each items}}x{{/each}}', { items: 'abc' }), /test.tpl:1: {{#each items}} expects a list but got string/);
+  });
+});
+
+describe('template rendering', () => {
+  it('removes lines that only hold a block tag', () => {
+    const text = 'Items:\n{{#each items as item}}\n  - {{ item }}\n{{/each}}\n{{#if none}}\nhidden\n{{else}}\ndone\n{{/if}}\n';
+    assert.equal(render(text, { items: ['a', 'b'], none: false }), 'Items:\n  - a\n  - b\ndone\n');
+  });
+
+  it('keeps inline blocks and describes the loop position', () => {
+    const text = '{{#each items as item}}{{ @number }}. {{ item.name }}{{#unless @last}}, {{/unless}}{{/each}}{{#each empty}}x{{else}} (no more){{/each}}';
+    assert.equal(render(text, { items: [{ name: 'a' }, { name: 'b' }], empty: [] }), '1. a, 2. b (no more)');
+  });
+
+  it('treats empty lists as false and leaves missing values blank', () => {
+    assert.equal(render('{{#if list}}some{{else}}none{{/if}}[{{ value.nested }}]', { list: [], value: null }), 'none[]');
+  });
+
+  it('only reads own properties', () => {
+    assert.equal(render('[{{ a.constructor.name }}][{{ a.__proto__ }}][{{ a.toString }}]', { a: {} }), '[][][]');
+    assert.equal(render('{{ list.length }} {{ name.length }}', { list: [1, 2], name: 'octo' }), '2 4');
+  });
+});
+
+describe('default template', () => {
+  before(() => freezeClock('2026-10-19T09:00:00Z'));
+  after(() => unfreezeClock());
+
+  it('renders a report', async () => {
+    const window = new ReportWindow('2026-10-18T00:00:00Z', '2026-10-19T00:00:00Z', 'yesterday', 'UTC');
+    const report = new GitHubReport('octo', window);
+    const latest = new PullRequest('Latest in alpha', 'https://github.com/octo/alpha/pull/9', 'someone', '2026-10-17T12:00:00Z', 'open');
+    const alpha = new ProjectSummary('alpha', 'Alpha service', 'https://github.com/octo/alpha', 'JavaScript', latest, 'octo');
+    alpha.addActivity(new Activity('pr_created', 'Add retries', 'https://github.com/octo/alpha/pull/1', '2026-10-18T13:00:00Z', 'octo/alpha'));
+    alpha.addActivity(new Activity('pushed', 'Pushed 2 commits to main', 'https://github.com/octo/alpha/compare/a...b', '2026-10-18T10:00:00Z', 'octo/alpha'));
+    report.addProject(alpha);
+    report.addProject(new ProjectSummary('beta', 'Beta tool', 'https://github.com/octo/beta', null, null, 'octo'));
+    report.setTotalRepos(2);
+    report.setAttentionItems([new AttentionItem({
+      reason: 'review_requested',
+      title: 'Fix login',
+      url: 'https://github.com/octo/beta/pull/4',
+      repoName: 'octo/beta',
+      waitingSince: '2026-10-17T09:00:00Z',
+      detail: 'by teammate'
+    })]);
+
+    // The generated time is formatted in the machine's locale
+    const markdown = generateMarkdownReport(report).replace(/^\*\*Generated:\*\* .*$/m, '**Generated:** GENERATED  ');
+    const expected = await readFile(new URL('./fixtures/templates/default-report.md', import.meta.url), 'utf8');
+    assert.equal(markdown, expected);
+  });
+});
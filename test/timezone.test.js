@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getZonedParts,
+  zonedDateTime,
+  zonedMidnight,
+  startOfZonedDay,
+  addZonedDays,
+  toZonedDateKey,
+  isValidTimeZone
+} from '../src/utils/timezone.js';
+
+describe('getZonedParts', () => {
+  it('reads the wall-clock time in the zone', () => {
+    const parts = getZonedParts(new Date('2026-01-15T20:00:00Z'), 'Asia/Kolkata');
+    assert.deepEqual(parts, { year: 2026, month: 1, day: 16, hour: 1, minute: 30, second: 0, weekday: 5 });
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA names and rejects anything else', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  });
+});
+
+describe('zonedDateTime', () => {
+  it('uses standard and daylight offsets', () => {
+    assert.equal(zonedDateTime(2026, 1, 15, 9, 0, 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+    assert.equal(zonedDateTime(2026, 7, 15, 9, 0, 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+  });
+
+  it('picks the first of two times repeated when DST ends', () => {
+    assert.equal(zonedDateTime(2026, 11, 1, 1, 30, 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+  });
+
+  it('moves times skipped when DST starts past the gap', () => {
+    // 02:30 doesn't exist in New York on 8 March 2026; clocks go from 02:00 EST to 03:00 EDT
+    assert.equal(zonedDateTime(2026, 3, 8, 2, 30, 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.equal(zonedDateTime(2026, 3, 8, 2, 0, 'America/New_York').toISOString(), '2026-03-08T07:00:00.000Z');
+    assert.equal(zonedDateTime(2026, 3, 29, 2, 30, 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+  });
+
+  it('handles zones ahead of UTC', () => {
+    assert.equal(zonedDateTime(2026, 3, 29, 12, 0, 'Europe/Berlin').toISOString(), '2026-03-29T10:00:00.000Z');
+    assert.equal(zonedMidnight(2026, 1, 1, 'Asia/Kolkata').toISOString(), '2025-12-31T18:30:00.000Z');
+  });
+});
+
+describe('day arithmetic', () => {
+  it('starts the day at local midnight', () => {
+    assert.equal(startOfZonedDay(new Date('2026-07-15T03:00:00Z'), 'America/New_York').toISOString(), '2026-07-14T04:00:00.000Z');
+  });
+
+  it('starts a day without a midnight at its first instant', () => {
+    // Santiago moves its clocks from midnight to 01:00 on 6 September 2026
+    assert.equal(zonedMidnight(2026, 9, 6, 'America/Santiago').toISOString(), '2026-09-06T04:00:00.000Z');
+    assert.equal(addZonedDays(zonedMidnight(2026, 9, 7, 'America/Santiago'), -1, 'America/Santiago').toISOString(), '2026-09-06T04:00:00.000Z');
+  });
+
+  it('adds calendar days across a DST change', () => {
+    const saturday = zonedMidnight(2026, 3, 7, 'America/New_York');
+    assert.equal(addZonedDays(saturday, 1, 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(addZonedDays(saturday, 2, 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+  });
+
+  it('keys dates by the local calendar day', () => {
+    assert.equal(toZonedDateKey(new Date('2026-01-15T20:00:00Z'), 'Asia/Kolkata'), '2026-01-16');
+    assert.equal(toZonedDateKey(new Date('2026-01-15T20:00:00Z'), 'UTC'), '2026-01-15');
+  });
+});
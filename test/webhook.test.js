@@ -0,0 +1,128 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { GitHubReport, ProjectSummary, Activity } from '../src/models/report.model.js';
+import { ReportWindow } from '../src/models/report-window.model.js';
+import { buildWebhookPayload, detectWebhookFormat } from '../src/renderers/webhook.renderer.js';
+import { WebhookService } from '../src/services/webhook.service.js';
+import logger from '../src/utils/logger.js';
+
+// The limits the renderer keeps to, as documented by Slack and Teams
+const MAX_BYTES = { slack: 40000, teams: 27000 };
+
+const window = new ReportWindow('2026-10-18T00:00:00Z', '2026-10-19T00:00:00Z', 'yesterday', 'UTC');
+
+// Activities with long URLs, so a handful of them outgrow any message
+function createReport(activityCount, urlLength) {
+  const report = new GitHubReport('octo', window);
+  const project = new ProjectSummary('alpha', '', 'https://github.com/octo/alpha', null, null, 'octo');
+  for (let i = 0; i < activityCount; i++) {
+    const url = `https://github.com/octo/alpha/pull/${i}?${'x'.repeat(urlLength)}`;
+    project.addActivity(new Activity('pr_created', `Pull request ${i}`, url, new Date(Date.UTC(2026, 9, 18, 12, 0, 0) - i * 1000), 'octo/alpha'));
+  }
+  report.addProject(project);
+  report.setTotalRepos(1);
+  return report;
+}
+
+const byteLength = payload => Buffer.byteLength(JSON.stringify(payload));
+const slackTexts = payload => payload.blocks.flatMap(block => [block.text?.text, ...(block.elements || []).map(element => element.text)]).filter(text => typeof text === 'string');
+
+describe('detectWebhookFormat', () => {
+  it('sends Teams cards to Microsoft hosts and Slack messages elsewhere', () => {
+    assert.equal(detectWebhookFormat('https://example.webhook.office.com/webhookb2/abc'), 'teams');
+    assert.equal(detectWebhookFormat('https://prod-12.westus.logic.azure.com/workflows/abc'), 'teams');
+    assert.equal(detectWebhookFormat('https://hooks.slack.com/services/T/B/X'), 'slack');
+    assert.equal(detectWebhookFormat('http://127.0.0.1:8080/hook'), 'slack');
+    assert.equal(detectWebhookFormat('https://notoffice.com/hook'), 'slack');
+  });
+});
+
+describe('buildWebhookPayload', () => {
+  it('drops Slack activities until the message fits', () => {
+    const payload = buildWebhookPayload(createReport(40, 5000), { format: 'slack' });
+
+    assert.ok(byteLength(payload) <= MAX_BYTES.slack);
+    const shown = slackTexts(payload).join('\n').match(/Pull request \d+/g).length;
+    assert.ok(shown > 0 && shown < 15);
+    assert.equal(payload.blocks.at(-1).elements[0].text, `…and ${40 - shown} more in the full report`);
+  });
+
+  it('drops Teams activities until the card fits', () => {
+    const payload = buildWebhookPayload(createReport(40, 5000), { format: 'teams' });
+    const { body } = payload.attachments[0].content;
+
+    assert.ok(byteLength(payload) <= MAX_BYTES.teams);
+    const shown = body.filter(block => block.text?.startsWith('[Pull request')).length;
+    assert.ok(shown > 0 && shown < 15);
+    assert.equal(body.at(-1).text, `…and ${40 - shown} more in the full report`);
+  });
+
+  it('packs activity lines into Slack sections of at most 3000 characters', () => {
+    const payload = buildWebhookPayload(createReport(15, 400), { format: 'slack' });
+    const sections = payload.blocks.filter(block => block.type === 'section' && block.text);
+
+    assert.ok(sections.length > 1);
+    sections.forEach(section => assert.ok(section.text.text.length <= 3000));
+    assert.equal(sections.map(section => section.text.text).join('\n').match(/Pull request \d+/g).length, 15);
+    assert.equal(payload.blocks.some(block => block.type === 'context' && /more in the full report/.test(block.elements[0].text)), false);
+  });
+
+  it('lists at most 15 activities', () => {
+    const payload = buildWebhookPayload(createReport(20, 10), { format: 'slack', reportUrl: 'https://example.com/report.html' });
+
+    assert.equal(slackTexts(payload).join('\n').match(/Pull request \d+/g).length, 15);
+    assert.equal(payload.blocks.at(-2).elements[0].text, '…and 5 more in the full report');
+    assert.equal(payload.blocks.at(-1).elements[0].url, 'https://example.com/report.html');
+  });
+});
+
+describe('WebhookService', () => {
+  let server;
+  let url;
+  let replies;
+  let received;
+
+  before(async () => {
+    logger.configure({ level: 'error' });
+    server = createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        received.push(JSON.parse(body));
+        const [status, text] = replies.shift();
+        response.writeHead(status, { 'content-type': 'text/plain' });
+        response.end(text);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(async () => {
+    logger.configure();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('retries a failed delivery', async () => {
+    replies = [[503, 'busy'], [200, 'ok']];
+    received = [];
+    const payload = { text: 'report' };
+
+    const result = await new WebhookService({ baseDelayMs: 10 }).deliver(url, payload, 'slack');
+
+    assert.deepEqual(result, { target: new URL(url).host, format: 'slack', delivered: true, attempts: 2, error: null });
+    assert.deepEqual(received, [payload, payload]);
+  });
+
+  it('reports a delivery that cannot succeed without retrying', async () => {
+    replies = [[400, 'invalid_blocks']];
+    received = [];
+
+    const result = await new WebhookService({ baseDelayMs: 10 }).deliver(url, { text: 'report' }, 'slack');
+
+    assert.equal(result.delivered, false);
+    assert.equal(result.attempts, 1);
+    assert.equal(result.error, 'HTTP 400: invalid_blocks');
+  });
+});